@@ -0,0 +1,69 @@
+// api/article.js - Vercel serverless function
+//
+// GET ?url= reads a pasted article link (Google News links included) and
+// returns { title, description, source, url, image, publishedAt, lang } for
+// the custom mode in the UI, which sends title/description on to /api/haiku.
+import { lookup as dnsLookup } from 'node:dns/promises';
+import { sendError } from '../lib/api.js';
+import { createMemoryStore } from '../lib/cache.js';
+import { fetchArticle } from '../lib/article.js';
+import { log } from '../lib/log.js';
+import { clientIp, createRateLimiter } from '../lib/rate-limit.js';
+
+const ARTICLE_TTL_MS = 1000 * 60 * 60;
+const MAX_URL_LENGTH = 2000;
+const STATUS_BY_CODE = {
+  bad_url: 400, blocked: 400, not_html: 422, no_title: 422,
+  unreachable: 502, too_many_redirects: 502, timeout: 504,
+};
+
+let store = createMemoryStore({ maxEntries: 500 });
+// Swap the in-memory default for a file/KV backend implementing lib/cache.js's store contract.
+export function setArticleStore(next) {
+  store = next;
+}
+let limiter = createRateLimiter({ capacity: 10, refillPerMinute: 10 });
+export function setArticleRateLimiter(next) {
+  limiter = next;
+}
+// Host name → addresses, checked before every outbound request.
+let lookup = host => dnsLookup(host, { all: true }).then(list => list.map(a => a.address));
+export function setArticleLookup(next) {
+  lookup = next;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendError(res, 405, 'method_not_allowed', 'Method not allowed');
+  }
+  const url = String(req.query.url || '').trim();
+  if (!url) return sendError(res, 400, 'bad_request', 'url is required');
+  if (url.length > MAX_URL_LENGTH) return sendError(res, 400, 'bad_request', `url must be at most ${MAX_URL_LENGTH} characters`);
+  if (!/^https?:\/\/\S+$/i.test(url)) return sendError(res, 400, 'bad_url', 'url must be an http(s) URL');
+
+  const key = `article:${url}`;
+  const hit = await store.get(key);
+  if (hit) {
+    res.setHeader('X-Cache', 'HIT');
+    return res.status(200).json(hit);
+  }
+  // Only misses reach out to other sites, so only misses are rate-limited.
+  const quota = await limiter.take(clientIp(req));
+  if (!quota.ok) {
+    res.setHeader('Retry-After', String(quota.retryAfter));
+    return sendError(res, 429, 'rate_limited', 'Too many requests');
+  }
+  try {
+    const article = await fetchArticle(url, { lookup });
+    await store.set(key, article, { ttlMs: ARTICLE_TTL_MS });
+    res.setHeader('X-Cache', 'MISS');
+    return res.status(200).json(article);
+  } catch (err) {
+    if (err?.name === 'ArticleError') {
+      return sendError(res, STATUS_BY_CODE[err.code] || 502, err.code, err.message);
+    }
+    log.error('article', err);
+    return sendError(res, 500, 'internal', 'Failed to read the page');
+  }
+}
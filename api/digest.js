@@ -0,0 +1,158 @@
+// api/digest.js - Vercel serverless function
+//
+// "Today in haiku": the day's top headlines for a country/category/language,
+// each run through the haiku pipeline. Served as JSON, RSS, Atom or HTML and
+// generated once per UTC day.
+import { sendError } from '../lib/api.js';
+import { createMemoryStore, once } from '../lib/cache.js';
+import { mapSettled } from '../lib/concurrency.js';
+import { cleanCategory, cleanCountry, cleanLang } from '../lib/feeds.js';
+import { renderAtom, renderHtml, renderRss } from '../lib/digest.js';
+import { MAX_HEADLINE_LENGTH, MAX_SUMMARY_LENGTH } from '../lib/guard.js';
+import { clientIp, createRateLimiter } from '../lib/rate-limit.js';
+import { publicBaseUrl } from '../lib/urls.js';
+import { cors } from '../lib/cors.js';
+import { getNews } from './news.js';
+import { getHaiku, validateHaikuRequest } from './haiku.js';
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+const CONCURRENCY = 3;
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Complete digests are kept for the day; ones with failed poems are retried
+// sooner (poems that did succeed come back from the haiku cache).
+const DIGEST_TTL_MS = DAY_MS * 1.5;
+const PARTIAL_TTL_MS = 1000 * 60 * 15;
+const FORMATS = {
+  json: null,
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+
+let store = createMemoryStore({ maxEntries: 200 });
+// Swap the in-memory default for a file/KV backend implementing lib/cache.js's store contract.
+export function setDigestStore(next) {
+  store = next;
+}
+// Only cache misses count: each one can cost up to MAX_LIMIT model calls.
+let limiter = createRateLimiter({ capacity: 5, refillPerMinute: 2 });
+export function setDigestRateLimiter(next) {
+  limiter = next;
+}
+
+// Headlines from the last 24 hours (or undated) first, in pipeline order.
+function topHeadlines(headlines, limit, now) {
+  const recent = h => !h.publishedAt || now - Date.parse(h.publishedAt) < DAY_MS;
+  return [...headlines.filter(recent), ...headlines.filter(h => !recent(h))].slice(0, limit);
+}
+
+async function buildDigest({ date, country, category, lang, style, form, limit }) {
+  const { value } = await getNews({ country, category, lang });
+  const headlines = topHeadlines(value.payload.headlines, limit, Date.now());
+  const results = await mapSettled(headlines, CONCURRENCY, async h => {
+    const { value: request, error } = validateHaikuRequest({
+      headline: h.title.slice(0, MAX_HEADLINE_LENGTH),
+      summary: h.summary ? h.summary.slice(0, MAX_SUMMARY_LENGTH) : undefined,
+      lang,
+      headlineLang: h.lang || lang,
+      style,
+      form,
+      // a public page: tragedies get the elegy style whatever style was asked for
+      sensitive: h.sensitive === true,
+      onSensitive: 'elegy',
+    });
+    if (error) throw new Error(error);
+    const poem = await getHaiku(request);
+    return {
+      title: h.title,
+      source: h.source,
+      url: h.url,
+      publishedAt: h.publishedAt ?? null,
+      haiku: poem.haiku,
+      syllables: poem.syllables,
+      pattern: poem.pattern,
+      strict: poem.strict,
+      provider: poem.provider,
+      sensitive: poem.sensitive,
+    };
+  });
+  const items = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+  if (!items.length) {
+    const err = new Error('No haiku could be generated');
+    err.code = results.find(r => r.reason?.code)?.reason.code || 'unavailable';
+    throw err;
+  }
+  return {
+    date,
+    country,
+    category,
+    lang,
+    style,
+    form,
+    generatedAt: new Date().toISOString(),
+    items,
+    failed: results.length - items.length,
+  };
+}
+
+export default async function handler(req, res) {
+  if (cors(req, res, { methods: ['GET', 'HEAD'] })) return;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return sendError(res, 405, 'method_not_allowed', 'Method not allowed');
+  }
+  const country = cleanCountry(req.query.country || 'US');
+  const category = cleanCategory(req.query.category || 'general');
+  const lang = cleanLang(req.query.lang, country);
+  const format = String(req.query.format || 'json').toLowerCase();
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT));
+  const { style, form } = req.query;
+  if (!Object.hasOwn(FORMATS, format)) {
+    return sendError(res, 400, 'bad_request', `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  // Same lang/style/form rules as /api/haiku, checked before any work is done.
+  const { value: checked, error } = validateHaikuRequest({ headline: 'digest', lang, style, form });
+  if (error) return sendError(res, 400, 'bad_request', error);
+
+  const date = new Date().toISOString().slice(0, 10);
+  const params = { date, country, category, lang, style: checked.style, form: checked.form, limit };
+  const key = `digest:${Object.values(params).join(':')}`;
+  let digest = await store.get(key);
+  res.setHeader('X-Cache', digest ? 'HIT' : 'MISS');
+  if (!digest) {
+    const quota = await limiter.take(clientIp(req));
+    if (!quota.ok) {
+      res.setHeader('Retry-After', String(quota.retryAfter));
+      return sendError(res, 429, 'rate_limited', 'Too many requests');
+    }
+    try {
+      digest = await once(key, async () => {
+        const built = await buildDigest(params);
+        await store.set(key, built, { ttlMs: built.failed ? PARTIAL_TTL_MS : DIGEST_TTL_MS });
+        return built;
+      });
+    } catch (err) {
+      res.setHeader('Cache-Control', 'no-store');
+      return sendError(res, 502, err.code || 'unavailable', 'Failed to build digest');
+    }
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=900');
+  if (format === 'json') return res.status(200).json(digest);
+
+  const base = publicBaseUrl(req);
+  const query = new URLSearchParams({ country, category, lang });
+  if (limit !== DEFAULT_LIMIT) query.set('limit', String(limit));
+  if (style) query.set('style', checked.style);
+  if (form) query.set('form', checked.form);
+  const links = {
+    html: `${base}/digest?${query}`,
+    rss: `${base}/digest.rss?${query}`,
+    atom: `${base}/digest.atom?${query}`,
+  };
+  links.self = links[format] || links.html;
+  const render = { rss: renderRss, atom: renderAtom, html: renderHtml }[format];
+  res.setHeader('Content-Type', FORMATS[format]);
+  return res.status(200).send(render(digest, links));
+}
@@ -0,0 +1,23 @@
+// api/feeds.js - Vercel serverless function: list configured feeds
+import { CATEGORIES, cleanCategory, cleanCountry, cleanLang, feedsFor } from '../lib/feeds.js';
+import { sendError } from '../lib/api.js';
+import { cors } from '../lib/cors.js';
+
+export default async function handler(req, res) {
+  if (cors(req, res, { methods: ['GET', 'HEAD'] })) return;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return sendError(res, 405, 'method_not_allowed', 'Method not allowed');
+  }
+  const country = cleanCountry(req.query.country || 'US');
+  const category = cleanCategory(req.query.category || 'general');
+  const lang = cleanLang(req.query.lang, country);
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600');
+  res.status(200).json({
+    country,
+    category,
+    lang,
+    categories: CATEGORIES,
+    feeds: feedsFor({ country, category, lang }),
+  });
+}
@@ -0,0 +1,84 @@
+// api/haiku/batch.js - Vercel serverless function
+//
+// POST { headlines: [...], lang, style, form, readerLang, fresh } turns up to
+// MAX_BATCH_ITEMS headlines into poems in one call, e.g. a week of haiku for a
+// newsletter. Each entry is a headline string or an object with the
+// /api/haiku fields; top-level fields are defaults for every entry. Items run
+// MAX_CONCURRENCY at a time through the same cache as /api/haiku, and each one
+// gets its own result or { code, message } error. Every headline costs one
+// request from the caller's /api/haiku rate limit.
+import { API_VERSION, sendError } from '../../lib/api.js';
+import { mapSettled } from '../../lib/concurrency.js';
+import { cors } from '../../lib/cors.js';
+import { log } from '../../lib/log.js';
+import { chargeQuota, getHaiku, haikuRateCapacity, validateHaikuRequest } from '../haiku.js';
+
+export const MAX_BATCH_ITEMS = Number(process.env.HAIKU_BATCH_MAX) || 10;
+const MAX_CONCURRENCY = 3;
+const DEFAULT_FIELDS = ['lang', 'headlineLang', 'style', 'form', 'readerLang', 'onSensitive', 'fresh'];
+
+// Returns { items } with each entry merged over the batch defaults (null for
+// entries that are neither a string nor an object), or { error }.
+export function validateBatchRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'request body must be a JSON object' };
+  }
+  const { headlines } = body;
+  if (!Array.isArray(headlines) || !headlines.length) {
+    return { error: 'headlines must be a non-empty array' };
+  }
+  if (headlines.length > MAX_BATCH_ITEMS) {
+    return { error: `headlines must have at most ${MAX_BATCH_ITEMS} entries` };
+  }
+  const defaults = {};
+  for (const name of DEFAULT_FIELDS) if (body[name] != null) defaults[name] = body[name];
+  const items = headlines.map(entry => {
+    if (typeof entry === 'string') return { ...defaults, headline: entry };
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) return { ...defaults, ...entry };
+    return null;
+  });
+  return { items };
+}
+
+async function runItem(item) {
+  const { value, error } = item ? validateHaikuRequest(item) : { error: 'each entry must be a headline string or an object' };
+  if (error) {
+    const err = new Error(error);
+    err.code = 'bad_request';
+    throw err;
+  }
+  return getHaiku(value);
+}
+
+export default async function handler(req, res) {
+  if (cors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendError(res, 405, 'method_not_allowed', 'Method not allowed');
+  }
+  const { items, error } = validateBatchRequest(req.body);
+  if (error) return sendError(res, 400, 'bad_request', error);
+  // A batch bigger than the bucket could never be served, however long the client waits.
+  if (items.length > haikuRateCapacity()) {
+    return sendError(res, 400, 'bad_request', `headlines must have at most ${haikuRateCapacity()} entries (the per-client rate limit)`);
+  }
+  if (!(await chargeQuota(req, res, items.length))) return;
+  const settled = await mapSettled(items, MAX_CONCURRENCY, runItem);
+  const results = settled.map((r, index) => {
+    const headline = typeof items[index]?.headline === 'string' ? items[index].headline : null;
+    if (r.status === 'fulfilled') return { index, headline, ok: true, ...r.value };
+    const { reason } = r;
+    if (reason?.code === 'bad_request') return { index, headline, ok: false, code: 'bad_request', message: reason.message };
+    if (reason?.name === 'ProviderError') return { index, headline, ok: false, code: reason.code, message: 'Failed to generate haiku' };
+    log.error('batch', `item ${index}: ${reason?.message || reason}`);
+    return { index, headline, ok: false, code: 'internal', message: 'Failed to generate haiku' };
+  });
+  const succeeded = results.filter(r => r.ok).length;
+  res.status(200).json({
+    version: API_VERSION,
+    count: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  });
+}
@@ -1,77 +1,94 @@
 // api/news.js - Vercel serverless function
+import { createHash } from 'node:crypto';
 import { XMLParser } from 'fast-xml-parser';
+import { sendError } from '../lib/api.js';
+import { createMemoryStore, staleWhileRevalidate } from '../lib/cache.js';
+import { cleanCategory, cleanCountry, cleanLang, feedsFor } from '../lib/feeds.js';
+import { firstImageSrc, htmlToText } from '../lib/html.js';
+import { resolveGoogleNewsLink } from '../lib/article.js';
+import { cors } from '../lib/cors.js';
+import { tagSensitive } from '../lib/sensitive.js';
+import { generateWithFallback, providersFromEnv } from '../lib/providers/index.js';
 
-const allowedCats = new Set([
-  'business', 'entertainment', 'general', 'health', 'science', 'sports', 'technology',
-]);
-const COUNTRY_DEFAULT_LANG = {
-  US: 'en', GB: 'en', IE: 'en', CA: 'en', AU: 'en', NZ: 'en',
-  LT: 'lt', LV: 'lv', EE: 'et',
-  PL: 'pl', DE: 'de', FR: 'fr', ES: 'es', IT: 'it', PT: 'pt', NL: 'nl',
-  NO: 'no', SE: 'sv', DK: 'da', FI: 'fi',
-  CZ: 'cs', SK: 'sk', HU: 'hu', RO: 'ro', BG: 'bg', GR: 'el',
-  HR: 'hr', SI: 'sl', RS: 'sr',
-  UA: 'uk', TR: 'tr',
-  BR: 'pt', MX: 'es', AR: 'es', CL: 'es', CO: 'es', PE: 'es',
-  JP: 'ja', KR: 'ko', CN: 'zh-CN', TW: 'zh-TW', HK: 'zh-HK',
-  IN: 'en', ZA: 'en',
-};
-const gTopicByCategory = {
-  business: 'BUSINESS', entertainment: 'ENTERTAINMENT', health: 'HEALTH', science: 'SCIENCE', sports: 'SPORTS', technology: 'TECHNOLOGY', general: null,
-};
-function cleanCountry(code) {
-  const m = String(code || '').trim().toUpperCase().match(/^[A-Z]{2}$/);
-  return m ? m[0] : 'US';
-}
-function defaultLangForCountry(country) {
-  return COUNTRY_DEFAULT_LANG[country] || 'en';
-}
-function hlFor(country, lang) {
-  return `${lang}-${country}`;
-}
-function feedsFor({ country = 'US', category = 'general', lang }) {
-  const cat = allowedCats.has(category) ? category : 'general';
-  const c = cleanCountry(country);
-  const l = lang || defaultLangForCountry(c);
-  const topic = gTopicByCategory[cat];
-  const google = topic
-    ? `https://news.google.com/rss/headlines/section/topic/${topic}?hl=${encodeURIComponent(hlFor(c, l))}&gl=${encodeURIComponent(c)}&ceid=${encodeURIComponent(`${c}:${l}`)}`
-    : `https://news.google.com/rss?hl=${encodeURIComponent(hlFor(c, l))}&gl=${encodeURIComponent(c)}&ceid=${encodeURIComponent(`${c}:${l}`)}`;
-  const guardian = 'https://www.theguardian.com/world/rss';
-  const bbc = cat === 'sports'
-    ? 'https://feeds.bbci.co.uk/sport/rss.xml'
-    : 'https://feeds.bbci.co.uk/news/rss.xml';
-  const aljazeera = 'https://www.aljazeera.com/xml/rss/all.xml';
-  const list = [];
-  list.push({ name: `Google News ${c}`, url: google });
-  list.push({ name: 'BBC', url: bbc });
-  list.push({ name: 'The Guardian', url: guardian });
-  list.push({ name: 'Al Jazeera', url: aljazeera });
-  return list;
+// Response cache: fresh for TTL, then served stale while one request refreshes it.
+const NEWS_TTL_MS = 1000 * 60 * 5;
+const NEWS_STALE_MS = 1000 * 60 * 25;
+// Per-feed validators (ETag/Last-Modified) are kept longer for conditional GETs.
+const FEED_VALIDATOR_TTL_MS = 1000 * 60 * 60 * 24;
+
+let store = createMemoryStore({ maxEntries: 300 });
+// Swap the in-memory default for a file/KV backend implementing lib/cache.js's store contract.
+export function setNewsStore(next) {
+  store = next;
+}
+// SENSITIVE_MODEL_CHECK=1 asks the haiku providers to flag sensitive headlines
+// the keyword lists miss; pass [] to use the keyword lists only.
+let sensitiveProviders = process.env.SENSITIVE_MODEL_CHECK === '1' ? providersFromEnv() : [];
+export function setSensitiveProviders(next) {
+  sensitiveProviders = next;
 }
+
 function sanitizeTitle(title = '') {
   return String(title)
     .replace(/\s*[-–—]\s*(BBC News|Reuters|The Guardian|NPR|AP News|Al Jazeera).*$/i, '')
     .replace(/\s*\|\s*(BBC|Reuters|The Guardian|NPR|AP|Al Jazeera).*$/i, '')
     .trim();
 }
-function resolveGoogleNewsLink(link) {
+function parseDate(value) {
+  const t = Date.parse(String(value || ''));
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+const SUMMARY_MAX_LENGTH = 280;
+function textOf(value) {
+  if (value == null) return '';
+  if (typeof value === 'string' || typeof value === 'number') return String(value);
+  return String(value['#text'] ?? value.content ?? value.cdata ?? value.term ?? '');
+}
+function asList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+function httpUrl(value) {
   try {
-    const u = new URL(link);
-    if (u.hostname.includes('news.google.') && u.searchParams.get('url')) {
-      return u.searchParams.get('url');
+    const u = new URL(String(value));
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+// media:content / media:thumbnail / image enclosures, then an <img> in the body.
+function extractImage(it, bodyHtml) {
+  const media = [
+    ...asList(it?.['media:content']),
+    ...asList(it?.['media:group']?.['media:content']),
+    ...asList(it?.['media:thumbnail']),
+  ];
+  for (const m of media) {
+    if (m?.url && (!m.medium || m.medium === 'image') && (!m.type || String(m.type).startsWith('image/'))) {
+      const url = httpUrl(m.url);
+      if (url) return url;
     }
-  } catch {}
-  return link;
+  }
+  for (const e of asList(it?.enclosure)) {
+    if (e?.url && String(e.type || '').startsWith('image/')) {
+      const url = httpUrl(e.url);
+      if (url) return url;
+    }
+  }
+  return httpUrl(firstImageSrc(bodyHtml));
+}
+function extractSummary(bodyHtml, title) {
+  const summary = htmlToText(bodyHtml, SUMMARY_MAX_LENGTH);
+  // Google News bodies only repeat the headline and outlet name
+  if (!summary || summary.toLowerCase().startsWith(title.toLowerCase())) return '';
+  return summary;
 }
 function normalizeItems(rawItems, provider) {
   if (!Array.isArray(rawItems)) rawItems = [rawItems].filter(Boolean);
   return rawItems.map(it => {
     let title = '';
     let link = '';
-    if (typeof it?.title === 'string') title = it.title;
-    else if (it?.title?.content) title = it.title.content;
-    else if (it?.title?.cdata) title = it.title.cdata;
+    title = htmlToText(textOf(it?.title));
     if (typeof it?.link === 'string') {
       link = it.link;
     } else if (Array.isArray(it?.link)) {
@@ -84,10 +101,15 @@ function normalizeItems(rawItems, provider) {
     if (!link) link = it?.guid?.content || it?.guid || it?.id || '';
     title = sanitizeTitle(title);
     if (link) link = resolveGoogleNewsLink(link);
+    const bodyHtml = textOf(it?.description || it?.summary || it?.['content:encoded'] || it?.content);
     return {
       title,
       source: provider,
       url: link || '#',
+      publishedAt: parseDate(it?.pubDate || it?.published || it?.updated || it?.['dc:date']),
+      summary: extractSummary(bodyHtml, title),
+      image: extractImage(it, bodyHtml),
+      categories: [...new Set(asList(it?.category).map(c => htmlToText(textOf(c))).filter(Boolean))],
     };
   }).filter(x => x.title && x.url);
 }
@@ -104,64 +126,201 @@ async function fetchWithTimeout(url, timeoutMs = 7000, headers = {}) {
         ...headers,
       }
     });
+    if (r.status === 304) return { notModified: true };
     if (!r.ok) throw new Error(`HTTP ${r.status}`);
-    return await r.text();
+    return {
+      text: await r.text(),
+      etag: r.headers.get('etag'),
+      lastModified: r.headers.get('last-modified'),
+    };
   } finally {
     clearTimeout(id);
   }
 }
 async function fetchFeed(url, providerName) {
+  const cacheKey = `feed:${url}`;
+  const cached = await store.get(cacheKey);
+  const conditional = {};
+  if (cached?.etag) conditional['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+  const r = await fetchWithTimeout(url, 7000, conditional);
+  if (r.notModified) {
+    if (cached) return cached.items;
+    throw new Error('HTTP 304 without cached copy');
+  }
   const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', trimValues: true });
-  const xml = await fetchWithTimeout(url);
-  const data = parser.parse(xml);
+  const data = parser.parse(r.text);
+  let items = [];
   if (data?.rss?.channel?.item) {
-    return normalizeItems(data.rss.channel.item, providerName);
+    items = normalizeItems(data.rss.channel.item, providerName);
+  } else if (data?.feed?.entry) {
+    items = normalizeItems(data.feed.entry, providerName);
   }
-  if (data?.feed?.entry) {
-    return normalizeItems(data.feed.entry, providerName);
+  if (r.etag || r.lastModified) {
+    await store.set(cacheKey, { etag: r.etag, lastModified: r.lastModified, items }, { ttlMs: FEED_VALIDATOR_TTL_MS });
   }
-  return [];
+  return items;
+}
+const TITLE_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as', 'is', 'are', 'was', 'be',
+]);
+function titleTokens(title) {
+  return new Set(
+    String(title)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+      .split(/\s+/)
+      .filter(w => w && !TITLE_STOPWORDS.has(w))
+  );
 }
-function dedupeByTitle(items) {
-  const seen = new Set();
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+// Near-duplicate check: token-set Jaccard over normalized titles, so
+// "Storm hits coast – live" and "Storm hits the coast" collapse into one.
+function dedupeByTitle(items, threshold = 0.6) {
+  const kept = [];
   const out = [];
   for (const it of items) {
-    const key = it.title.toLowerCase();
-    if (seen.has(key)) continue;
-    seen.add(key);
+    const tokens = titleTokens(it.title);
+    const key = [...tokens].join(' ');
+    if (kept.some(k => k.key === key || similarity(k.tokens, tokens) >= threshold)) continue;
+    kept.push({ key, tokens });
     out.push(it);
   }
   return out;
 }
-export default async function handler(req, res) {
-  const category = String(req.query.category || 'technology').toLowerCase();
-  const country = cleanCountry(req.query.country || 'US');
-  const lang = defaultLangForCountry(country);
-  const feeds = feedsFor({ country, category, lang });
-  let collected = [];
-  for (const f of feeds) {
-    try {
-      const items = await fetchFeed(f.url, f.name);
-      if (items && items.length) {
-        collected = items;
-        break;
-      }
-    } catch (e) {
-      // try next
+function byRecency(a, b) {
+  const ta = a.publishedAt ? Date.parse(a.publishedAt) : 0;
+  const tb = b.publishedAt ? Date.parse(b.publishedAt) : 0;
+  return tb - ta;
+}
+// Round-robin across sources (each already newest-first) so one busy feed
+// can't crowd out the rest of the list.
+function spreadBySource(items, limit) {
+  const groups = new Map();
+  for (const it of items) {
+    if (!groups.has(it.source)) groups.set(it.source, []);
+    groups.get(it.source).push(it);
+  }
+  const queues = [...groups.values()];
+  const out = [];
+  while (out.length < limit && queues.some(q => q.length)) {
+    for (const q of queues) {
+      if (q.length && out.length < limit) out.push(q.shift());
     }
   }
-  collected = dedupeByTitle(collected).slice(0, 14);
-  if (!collected.length) {
+  return out;
+}
+async function timedFetch(feed) {
+  const started = Date.now();
+  try {
+    // Each headline keeps its source's language, e.g. BBC items in a Lithuanian feed are English.
+    const items = (await fetchFeed(feed.url, feed.name)).map(it => ({ ...it, lang: feed.lang }));
+    return { items, report: { name: feed.name, ok: true, count: items.length, ms: Date.now() - started } };
+  } catch (e) {
+    const error = e?.name === 'AbortError' ? 'timeout' : String(e?.message || e);
+    return { items: [], report: { name: feed.name, ok: false, count: 0, ms: Date.now() - started, error } };
+  }
+}
+async function collectFanout(feeds) {
+  const results = await Promise.all(feeds.map(timedFetch));
+  const items = results.flatMap(r => r.items).sort(byRecency);
+  return { items, providers: results.map(r => r.report) };
+}
+async function collectFirst(feeds) {
+  const providers = [];
+  for (const f of feeds) {
+    const { items, report } = await timedFetch(f);
+    providers.push(report);
+    if (items.length) return { items, providers };
+  }
+  return { items: [], providers };
+}
+async function loadNews({ country, category, lang, mode }) {
+  const feeds = feedsFor({ country, category, lang });
+  const { items, providers } = mode === 'first' ? await collectFirst(feeds) : await collectFanout(feeds);
+  const headlines = await tagSensitive(spreadBySource(dedupeByTitle(items), 14), {
+    lang,
+    generate: sensitiveProviders.length ? request => generateWithFallback(sensitiveProviders, request) : null,
+  });
+  if (!headlines.length) {
+    const err = new Error('No headlines from any feed');
+    err.providers = providers;
+    throw err;
+  }
+  const payload = {
+    headlines,
+    country,
+    category,
+    lang,
+    mode,
+    providers,
+    failed: providers.filter(p => !p.ok).map(p => p.name),
+  };
+  const etag = `"${createHash('sha1').update(JSON.stringify(headlines)).digest('base64url').slice(0, 27)}"`;
+  return { payload, etag };
+}
+// The cached news pipeline, shared with other endpoints (e.g. /api/digest).
+// Resolves to { value: { payload, etag }, state, storedAt }; throws when no
+// feed returned headlines.
+export function getNews({ country, category, lang, mode = 'fanout' }) {
+  return staleWhileRevalidate(
+    store,
+    `news:${country}:${category}:${lang}:${mode}`,
+    () => loadNews({ country, category, lang, mode }),
+    { ttlMs: NEWS_TTL_MS, staleMs: NEWS_STALE_MS },
+  );
+}
+// Served when no feed answers at all.
+const SAMPLE_HEADLINES = [
+  'Satellites watch storms gather over Atlantic',
+  'Researchers map ancient city with ground radar',
+  'New chip design promises battery-sipping laptops',
+  'Ocean heat reaches record highs, scientists warn',
+  'Breakthrough in recycling rare-earth magnets',
+  'Open-source community ships major release',
+];
+export default async function handler(req, res) {
+  if (cors(req, res, { methods: ['GET', 'HEAD'] })) return;
+  if (req.method && req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return sendError(res, 405, 'method_not_allowed', 'Method not allowed');
+  }
+  const category = cleanCategory(req.query.category || 'technology');
+  const country = cleanCountry(req.query.country || 'US');
+  const lang = cleanLang(req.query.lang, country);
+  const mode = String(req.query.mode || 'fanout').toLowerCase() === 'first' ? 'first' : 'fanout';
+  let cached;
+  try {
+    cached = await getNews({ country, category, lang, mode });
+  } catch (e) {
+    // Same shape as a live answer, so clients need no special case; `sample` tells them apart.
+    const providers = e.providers || [];
+    res.setHeader('Cache-Control', 'no-store');
     return res.status(200).json({
-      headlines: [
-        { title: "Satellites watch storms gather over Atlantic", source: "Sample", url: "#" },
-        { title: "Researchers map ancient city with ground radar", source: "Sample", url: "#" },
-        { title: "New chip design promises battery-sipping laptops", source: "Sample", url: "#" },
-        { title: "Ocean heat reaches record highs, scientists warn", source: "Sample", url: "#" },
-        { title: "Breakthrough in recycling rare-earth magnets", source: "Sample", url: "#" },
-        { title: "Open-source community ships major release", source: "Sample", url: "#" },
-      ]
+      headlines: SAMPLE_HEADLINES.map(title => ({ title, source: 'Sample', url: '#', publishedAt: null, summary: '', image: null, categories: [], lang: 'en', sensitive: false })),
+      country,
+      category,
+      lang,
+      mode,
+      providers,
+      failed: providers.filter(p => !p.ok).map(p => p.name),
+      sample: true,
     });
   }
-  res.status(200).json({ headlines: collected, country, category });
+  const { value, state, storedAt } = cached;
+  res.setHeader('Cache-Control', `public, max-age=60, s-maxage=${NEWS_TTL_MS / 1000}, stale-while-revalidate=${NEWS_STALE_MS / 1000}`);
+  res.setHeader('ETag', value.etag);
+  res.setHeader('Last-Modified', new Date(storedAt).toUTCString());
+  res.setHeader('X-Cache', state);
+  if (req.headers?.['if-none-match'] === value.etag) {
+    return res.status(304).end();
+  }
+  res.status(200).json(value.payload);
 }
@@ -0,0 +1,237 @@
+// api/openapi.js - Vercel serverless function
+//
+// GET returns the OpenAPI 3.1 document for /api/news, /api/haiku and
+// /api/haiku/batch (also at /openapi.json). Enums and limits come from the modules that
+// enforce them, so the document cannot drift from the validation.
+import { API_VERSION, sendError } from '../lib/api.js';
+import { cors } from '../lib/cors.js';
+import { CATEGORIES } from '../lib/feeds.js';
+import { DEFAULT_FORM, DEFAULT_STYLE, FORMS, STYLES } from '../lib/forms.js';
+import { MAX_HEADLINE_LENGTH, MAX_SUMMARY_LENGTH } from '../lib/guard.js';
+import { HAIKU_LANGS } from './haiku.js';
+import { MAX_BATCH_ITEMS } from './haiku/batch.js';
+
+const ERROR_CODES = [
+  'bad_request', 'method_not_allowed', 'rate_limited', 'internal',
+  'unconfigured', 'auth', 'timeout', 'unavailable', 'blocked', 'bad_response', 'bad_output',
+];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const errorResponse = description => ({ description, ...json(ref('Error')) });
+
+const haikuFields = {
+  lang: { type: 'string', enum: ['auto', ...HAIKU_LANGS], default: 'auto', description: 'Poem language; `auto` means English.' },
+  style: { type: 'string', enum: Object.keys(STYLES), default: DEFAULT_STYLE },
+  form: { type: 'string', enum: Object.keys(FORMS), default: DEFAULT_FORM },
+  headlineLang: { type: 'string', pattern: '^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})?$', description: 'Language the headline is written in (e.g. a headline\'s `lang` from `/api/news`), for the sensitive check.' },
+  readerLang: { type: 'string', enum: HAIKU_LANGS, description: 'Adds a `gloss` translated into this language.' },
+  sensitive: { type: 'boolean', description: 'The headline is already known to be sensitive, e.g. tagged by `/api/news`. Keyword lists can flag it either way.' },
+  onSensitive: { type: 'string', enum: ['keep', 'elegy'], default: 'keep', description: '`elegy` writes sensitive headlines in the elegy style instead of `style`.' },
+  fresh: { type: 'boolean', default: false, description: 'Skip the 24h poem cache.' },
+};
+
+export const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'inhaiku.lt haiku API',
+    version: API_VERSION,
+    description: 'Turns news headlines into short poems. Errors are `{ code, message }` (`error` repeats the message for older clients).',
+  },
+  paths: {
+    '/api/news': {
+      get: {
+        operationId: 'listNews',
+        summary: 'Current headlines for a country and category',
+        description: 'Feeds are merged, de-duplicated and spread across sources. When no feed answers, sample headlines come back in the same shape with `sample: true`, still with status 200.',
+        parameters: [
+          { name: 'country', in: 'query', schema: { type: 'string', pattern: '^[A-Z]{2}$', default: 'US' }, description: 'Unknown values fall back to `US`.' },
+          { name: 'category', in: 'query', schema: { type: 'string', enum: CATEGORIES, default: 'technology' }, description: 'Unknown values fall back to `general`.' },
+          { name: 'lang', in: 'query', schema: { type: 'string' }, description: 'Feed language, e.g. `lt` or `zh-CN`; defaults to the country\'s language.' },
+          { name: 'mode', in: 'query', schema: { type: 'string', enum: ['fanout', 'first'], default: 'fanout' }, description: '`first` stops at the first feed with headlines.' },
+        ],
+        responses: {
+          200: { description: 'Live headlines, or the sample fallback', ...json(ref('News')) },
+          304: { description: 'Unchanged since the `If-None-Match` ETag' },
+          405: errorResponse('Not a GET (`method_not_allowed`)'),
+        },
+      },
+    },
+    '/api/haiku': {
+      post: {
+        operationId: 'createHaiku',
+        summary: 'Write one poem for a headline',
+        description: 'Send `Accept: text/event-stream` to receive `meta`, `token`, `retry` and `done` events instead; failures arrive as an `error` event with the Error object.',
+        requestBody: { required: true, ...json(ref('HaikuRequest')) },
+        responses: {
+          200: { description: 'The poem', ...json(ref('Haiku')) },
+          400: errorResponse('Invalid request (`bad_request`)'),
+          405: errorResponse('Not a POST (`method_not_allowed`)'),
+          429: errorResponse('Per-IP limit reached (`rate_limited`); see `Retry-After`'),
+          502: errorResponse('Every provider failed or the output was not a poem'),
+          503: errorResponse('No provider configured or providers rate-limited'),
+          504: errorResponse('Providers timed out'),
+        },
+      },
+    },
+    '/api/haiku/batch': {
+      post: {
+        operationId: 'createHaikuBatch',
+        summary: `Write poems for up to ${MAX_BATCH_ITEMS} headlines in one call`,
+        description: 'Items run a few at a time through the same cache as `/api/haiku`. A failed item does not fail the batch: it comes back with `ok: false` and an error code.',
+        requestBody: { required: true, ...json(ref('BatchRequest')) },
+        responses: {
+          200: { description: 'One result per headline, in request order', ...json(ref('BatchResponse')) },
+          400: errorResponse('Invalid request (`bad_request`)'),
+          405: errorResponse('Not a POST (`method_not_allowed`)'),
+          429: errorResponse('Per-IP limit reached (`rate_limited`): each headline costs one `/api/haiku` request; see `Retry-After`'),
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: ERROR_CODES },
+          message: { type: 'string' },
+          error: { type: 'string', deprecated: true, description: 'Same as `message`.' },
+        },
+      },
+      Headline: {
+        type: 'object',
+        required: ['title', 'source', 'url'],
+        properties: {
+          title: { type: 'string' },
+          source: { type: 'string' },
+          url: { type: 'string', description: '`#` for sample headlines.' },
+          publishedAt: { type: ['string', 'null'], format: 'date-time' },
+          summary: { type: 'string', description: 'Plain text, HTML stripped.' },
+          image: { type: ['string', 'null'] },
+          categories: { type: 'array', items: { type: 'string' } },
+          lang: { type: 'string', description: 'Language the source writes in; international outlets are English in every feed.' },
+          sensitive: { type: 'boolean', description: 'The headline reports deaths, violence or a tragedy.' },
+        },
+      },
+      FeedReport: {
+        type: 'object',
+        required: ['name', 'ok'],
+        properties: {
+          name: { type: 'string' },
+          ok: { type: 'boolean' },
+          count: { type: 'integer' },
+          ms: { type: 'integer' },
+          error: { type: 'string' },
+        },
+      },
+      News: {
+        type: 'object',
+        required: ['headlines', 'country', 'category', 'lang', 'mode', 'providers', 'failed'],
+        properties: {
+          headlines: { type: 'array', items: ref('Headline') },
+          country: { type: 'string' },
+          category: { type: 'string', enum: CATEGORIES },
+          lang: { type: 'string' },
+          mode: { type: 'string', enum: ['fanout', 'first'] },
+          providers: { type: 'array', items: ref('FeedReport') },
+          failed: { type: 'array', items: { type: 'string' }, description: 'Names of the feeds that failed.' },
+          sample: { type: 'boolean', description: 'Present and `true` when no feed answered and these are sample headlines.' },
+        },
+      },
+      HaikuRequest: {
+        type: 'object',
+        required: ['headline'],
+        properties: {
+          headline: { type: 'string', minLength: 1, maxLength: MAX_HEADLINE_LENGTH },
+          summary: { type: 'string', maxLength: MAX_SUMMARY_LENGTH, description: 'Extra context for imagery, e.g. a headline summary from `/api/news`.' },
+          ...haikuFields,
+        },
+      },
+      Gloss: {
+        type: ['object', 'null'],
+        properties: {
+          lang: { type: 'string' },
+          headline: { type: 'string' },
+          haiku: { type: ['string', 'null'], description: '`null` when the poem is already in the reader language.' },
+        },
+      },
+      Haiku: {
+        type: 'object',
+        required: ['haiku', 'lang', 'cached'],
+        properties: {
+          haiku: { type: 'string', description: 'Lines separated by `\\n`.' },
+          syllables: { type: 'array', items: { type: 'integer' } },
+          pattern: { type: ['array', 'null'], items: { type: 'integer' } },
+          strict: { type: 'boolean' },
+          approximate: { type: 'boolean' },
+          attempts: { type: 'integer' },
+          provider: { type: 'string' },
+          style: { type: 'string' },
+          form: { type: 'string' },
+          lang: { type: 'string' },
+          cached: { type: 'boolean' },
+          sensitive: { type: 'boolean', description: 'The headline reports deaths, violence or a tragedy.' },
+          gloss: ref('Gloss'),
+        },
+      },
+      BatchRequest: {
+        type: 'object',
+        required: ['headlines'],
+        description: 'Top-level `lang`, `headlineLang`, `style`, `form`, `readerLang`, `onSensitive` and `fresh` apply to every entry that does not set its own.',
+        properties: {
+          headlines: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_BATCH_ITEMS,
+            items: { oneOf: [{ type: 'string', minLength: 1, maxLength: MAX_HEADLINE_LENGTH }, ref('HaikuRequest')] },
+          },
+          ...haikuFields,
+        },
+      },
+      BatchResult: {
+        oneOf: [
+          {
+            allOf: [ref('Haiku')],
+            type: 'object',
+            required: ['index', 'ok'],
+            properties: { index: { type: 'integer' }, headline: { type: ['string', 'null'] }, ok: { const: true } },
+          },
+          {
+            type: 'object',
+            required: ['index', 'ok', 'code', 'message'],
+            properties: {
+              index: { type: 'integer' },
+              headline: { type: ['string', 'null'] },
+              ok: { const: false },
+              code: { type: 'string', enum: ERROR_CODES },
+              message: { type: 'string' },
+            },
+          },
+        ],
+      },
+      BatchResponse: {
+        type: 'object',
+        required: ['version', 'count', 'succeeded', 'failed', 'results'],
+        properties: {
+          version: { type: 'string', const: API_VERSION },
+          count: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' },
+          results: { type: 'array', items: ref('BatchResult') },
+        },
+      },
+    },
+  },
+};
+
+export default async function handler(req, res) {
+  if (cors(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET');
+    return sendError(res, 405, 'method_not_allowed', 'Method not allowed');
+  }
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.status(200).json(document);
+}
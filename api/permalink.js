@@ -0,0 +1,208 @@
+// api/permalink.js - Vercel serverless function
+//
+// POST stores a generated haiku under a short content-addressed id; GET renders
+// it as a standalone page with Open Graph/Twitter cards (format=html), or as the
+// card image itself (format=svg|png). vercel.json maps /h/:id onto this route.
+import { createHash } from 'node:crypto';
+import { sendError } from '../lib/api.js';
+import { createMemoryStore, kvStoreFromEnv } from '../lib/cache.js';
+import { CATEGORIES } from '../lib/feeds.js';
+import { renderCardPng, renderCardSvg, CARD_HEIGHT, CARD_WIDTH } from '../lib/card.js';
+import { clientIp, createRateLimiter } from '../lib/rate-limit.js';
+import { MAX_HEADLINE_LENGTH } from '../lib/guard.js';
+import { log } from '../lib/log.js';
+import { escapeHtml } from '../lib/html.js';
+import { publicBaseUrl } from '../lib/urls.js';
+
+const MAX_HAIKU_LENGTH = 600;
+const MAX_HAIKU_LINES = 6;
+const MAX_SOURCE_LENGTH = 80;
+const ID_RE = /^[\w-]{10}$/;
+const LANG_RE = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+// Permalinks must outlive any single instance, so production needs the KV
+// store (KV_REST_API_URL/KV_REST_API_TOKEN); memory is for local runs only.
+let store = kvStoreFromEnv();
+if (!store) {
+  if (process.env.VERCEL) log.warn('permalink', 'KV_REST_API_URL/KV_REST_API_TOKEN not set, links will break across instances');
+  store = createMemoryStore({ maxEntries: 5000 });
+}
+export function setPermalinkStore(next) {
+  store = next;
+}
+let limiter = createRateLimiter({ capacity: 30, refillPerMinute: 30 });
+export function setPermalinkRateLimiter(next) {
+  limiter = next;
+}
+
+function optionalString(value, name, max) {
+  if (value == null || value === '') return { value: '' };
+  if (typeof value !== 'string') return { error: `${name} must be a string` };
+  if (value.length > max) return { error: `${name} must be at most ${max} characters` };
+  return { value: value.trim() };
+}
+
+// Returns { value } with the record to store, or { error } describing the first problem.
+function validateRecord(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'request body must be a JSON object' };
+  }
+  const { haiku, title, source, url, lang, country, category, style, form } = body;
+  if (!haiku || typeof haiku !== 'string' || !haiku.trim()) return { error: 'haiku is required' };
+  if (haiku.length > MAX_HAIKU_LENGTH) return { error: `haiku must be at most ${MAX_HAIKU_LENGTH} characters` };
+  const lines = haiku.trim().split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines.length > MAX_HAIKU_LINES) return { error: `haiku must have at most ${MAX_HAIKU_LINES} lines` };
+  if (!title || typeof title !== 'string' || !title.trim()) return { error: 'title is required' };
+  if (title.length > MAX_HEADLINE_LENGTH) return { error: `title must be at most ${MAX_HEADLINE_LENGTH} characters` };
+  const src = optionalString(source, 'source', MAX_SOURCE_LENGTH);
+  if (src.error) return src;
+  if (url != null && url !== '#' && !/^https?:\/\/\S+$/i.test(String(url))) return { error: 'url must be an http(s) URL' };
+  if (lang != null && !LANG_RE.test(String(lang))) return { error: 'lang must be a language code' };
+  if (country != null && !/^[A-Z]{2}$/.test(String(country))) return { error: 'country must be a two-letter code' };
+  if (category != null && !CATEGORIES.includes(category)) return { error: `category must be one of: ${CATEGORIES.join(', ')}` };
+  for (const [name, v] of [['style', style], ['form', form]]) {
+    if (v != null && !/^[a-z]{1,20}$/.test(String(v))) return { error: `${name} must be a preset name` };
+  }
+  return {
+    value: {
+      haiku: lines.join('\n'),
+      title: title.trim(),
+      source: src.value,
+      url: url && url !== '#' ? url : '',
+      lang: lang || '',
+      country: country || '',
+      category: category || '',
+      style: style || '',
+      form: form || '',
+    },
+  };
+}
+
+function idFor(record) {
+  return createHash('sha256').update(JSON.stringify(record)).digest('base64url').slice(0, 10);
+}
+
+function renderPage(record, { id, base }) {
+  const pageUrl = `${base}/h/${id}`;
+  const image = `${base}/h/${id}/card.png`;
+  const title = `${record.haiku.split('\n')[0]} — inhaiku.lt`;
+  const description = `${record.haiku.replace(/\n/g, ' / ')} · ${record.title}`;
+  const meta = [record.source, record.country, record.category].filter(Boolean).join(' • ');
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(record.lang || 'en')}" data-theme="dark">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover" />
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />
+  <link rel="canonical" href="${escapeHtml(pageUrl)}" />
+  <meta property="og:title" content="${escapeHtml(title)}" />
+  <meta property="og:description" content="${escapeHtml(description)}" />
+  <meta property="og:type" content="article" />
+  <meta property="og:url" content="${escapeHtml(pageUrl)}" />
+  <meta property="og:image" content="${escapeHtml(image)}" />
+  <meta property="og:image:width" content="${CARD_WIDTH}" />
+  <meta property="og:image:height" content="${CARD_HEIGHT}" />
+  <meta name="twitter:card" content="summary_large_image" />
+  <meta name="twitter:title" content="${escapeHtml(title)}" />
+  <meta name="twitter:description" content="${escapeHtml(description)}" />
+  <meta name="twitter:image" content="${escapeHtml(image)}" />
+  <meta name="theme-color" content="#1e2f23" />
+  <link href="https://fonts.googleapis.com/css2?family=VT323&display=swap" rel="stylesheet" />
+  <link rel="stylesheet" href="/css/styles.css" />
+</head>
+<body>
+  <div class="phone-container">
+    <div class="screen">
+      <div class="status-bar">
+        <span>NEWS HAIKU</span>
+      </div>
+      <div class="content">
+        <div class="source-indicator">${escapeHtml(meta)}</div>
+        <div class="message headline">${record.url
+          ? `<a href="${escapeHtml(record.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(record.title)}</a>`
+          : escapeHtml(record.title)}</div>
+        <div class="message haiku">${escapeHtml(record.haiku)}</div>
+      </div>
+      <div class="button-container">
+        <a href="/" class="main-button">🌺 Make your own</a>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
+
+function renderMissing() {
+  return `<!DOCTYPE html>
+<html lang="en" data-theme="dark">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Haiku not found — inhaiku.lt</title>
+  <link rel="stylesheet" href="/css/styles.css" />
+</head>
+<body>
+  <div class="phone-container">
+    <div class="screen">
+      <div class="status-bar"><span>NEWS HAIKU</span></div>
+      <div class="content"><div class="message haiku">This haiku has drifted away.</div></div>
+      <div class="button-container"><a href="/" class="main-button">🌺 Make your own</a></div>
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
+
+async function create(req, res) {
+  const { value, error } = validateRecord(req.body);
+  if (error) return sendError(res, 400, 'bad_request', error);
+
+  const limit = await limiter.take(clientIp(req));
+  if (!limit.ok) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    return sendError(res, 429, 'rate_limited', 'Too many requests');
+  }
+
+  const id = idFor(value);
+  if (!(await store.get(`permalink:${id}`))) {
+    await store.set(`permalink:${id}`, { ...value, createdAt: new Date().toISOString() });
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(201).json({ id, url: `/h/${id}` });
+}
+
+async function show(req, res) {
+  const id = String(req.query.id || '');
+  const format = String(req.query.format || 'html');
+  const record = ID_RE.test(id) ? await store.get(`permalink:${id}`) : undefined;
+  if (!record) {
+    res.setHeader('Cache-Control', 'no-store');
+    if (format !== 'html') return sendError(res, 404, 'not_found', 'Not found');
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(404).send(renderMissing());
+  }
+  // Ids are content hashes, so a stored permalink never changes.
+  res.setHeader('Cache-Control', IMMUTABLE);
+  if (format === 'png') {
+    res.setHeader('Content-Type', 'image/png');
+    return res.status(200).send(renderCardPng(record));
+  }
+  if (format === 'svg') {
+    res.setHeader('Content-Type', 'image/svg+xml');
+    return res.status(200).send(renderCardSvg(record));
+  }
+  if (format === 'json') return res.status(200).json({ id, ...record });
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(200).send(renderPage(record, { id, base: publicBaseUrl(req) }));
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'POST') return create(req, res);
+  if (req.method === 'GET' || req.method === 'HEAD') return show(req, res);
+  res.setHeader('Allow', 'GET, POST');
+  return sendError(res, 405, 'method_not_allowed', 'Method not allowed');
+}
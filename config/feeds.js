@@ -0,0 +1,138 @@
+// config/feeds.js - declarative feed registry for /api/news and /api/feeds
+//
+// Each source lists the countries and languages it serves ('*' = any), the
+// language it is written in (`lang`; unset means the requested language, as
+// for Google News) and one URL per category it actually covers; a source without a URL for a category
+// is skipped for it. Lower priority is tried first in `mode=first` and wins
+// ties when merging. URLs may use {country}, {lang}, {hl} (lang-COUNTRY) and
+// {ceid} (COUNTRY:lang) placeholders.
+
+const googleTopic = topic =>
+  `https://news.google.com/rss/headlines/section/topic/${topic}?hl={hl}&gl={country}&ceid={ceid}`;
+
+export default [
+  {
+    name: 'Google News {country}',
+    priority: 10,
+    countries: '*',
+    langs: '*',
+    urls: {
+      general: 'https://news.google.com/rss?hl={hl}&gl={country}&ceid={ceid}',
+      business: googleTopic('BUSINESS'),
+      entertainment: googleTopic('ENTERTAINMENT'),
+      health: googleTopic('HEALTH'),
+      science: googleTopic('SCIENCE'),
+      sports: googleTopic('SPORTS'),
+      technology: googleTopic('TECHNOLOGY'),
+    },
+  },
+
+  // Lithuania
+  {
+    name: 'LRT',
+    priority: 20,
+    countries: ['LT'],
+    langs: ['lt'],
+    urls: {
+      general: 'https://www.lrt.lt/naujienos/lietuvoje?rss',
+      business: 'https://www.lrt.lt/naujienos/verslas?rss',
+      entertainment: 'https://www.lrt.lt/naujienos/kultura?rss',
+      health: 'https://www.lrt.lt/naujienos/sveikata?rss',
+      science: 'https://www.lrt.lt/naujienos/mokslas-ir-it?rss',
+      sports: 'https://www.lrt.lt/naujienos/sportas?rss',
+      technology: 'https://www.lrt.lt/naujienos/mokslas-ir-it?rss',
+    },
+  },
+  {
+    name: 'LRT English',
+    priority: 20,
+    countries: ['LT'],
+    langs: ['en'],
+    lang: 'en',
+    urls: {
+      general: 'https://www.lrt.lt/en/news-in-english?rss',
+    },
+  },
+  {
+    name: '15min',
+    priority: 25,
+    countries: ['LT'],
+    langs: ['lt'],
+    urls: {
+      general: 'https://www.15min.lt/rss',
+      business: 'https://www.15min.lt/rss/verslas',
+      entertainment: 'https://www.15min.lt/rss/zmones',
+      health: 'https://www.15min.lt/rss/sveikata',
+      science: 'https://www.15min.lt/rss/mokslasit',
+      sports: 'https://www.15min.lt/rss/sportas',
+      technology: 'https://www.15min.lt/rss/mokslasit',
+    },
+  },
+
+  // Estonia
+  {
+    name: 'ERR',
+    priority: 20,
+    countries: ['EE'],
+    langs: ['et'],
+    urls: {
+      general: 'https://www.err.ee/rss',
+      entertainment: 'https://menu.err.ee/rss',
+      sports: 'https://sport.err.ee/rss',
+    },
+  },
+  {
+    name: 'ERR News',
+    priority: 20,
+    countries: ['EE'],
+    langs: ['en'],
+    lang: 'en',
+    urls: {
+      general: 'https://news.err.ee/rss',
+    },
+  },
+
+  // International English-language outlets, merged in for every country
+  {
+    name: 'BBC',
+    priority: 50,
+    countries: '*',
+    langs: '*',
+    lang: 'en',
+    urls: {
+      general: 'https://feeds.bbci.co.uk/news/rss.xml',
+      business: 'https://feeds.bbci.co.uk/news/business/rss.xml',
+      entertainment: 'https://feeds.bbci.co.uk/news/entertainment_and_arts/rss.xml',
+      health: 'https://feeds.bbci.co.uk/news/health/rss.xml',
+      science: 'https://feeds.bbci.co.uk/news/science_and_environment/rss.xml',
+      sports: 'https://feeds.bbci.co.uk/sport/rss.xml',
+      technology: 'https://feeds.bbci.co.uk/news/technology/rss.xml',
+    },
+  },
+  {
+    name: 'The Guardian',
+    priority: 55,
+    countries: '*',
+    langs: '*',
+    lang: 'en',
+    urls: {
+      general: 'https://www.theguardian.com/world/rss',
+      business: 'https://www.theguardian.com/business/rss',
+      entertainment: 'https://www.theguardian.com/culture/rss',
+      health: 'https://www.theguardian.com/society/health/rss',
+      science: 'https://www.theguardian.com/science/rss',
+      sports: 'https://www.theguardian.com/sport/rss',
+      technology: 'https://www.theguardian.com/technology/rss',
+    },
+  },
+  {
+    name: 'Al Jazeera',
+    priority: 60,
+    countries: '*',
+    langs: '*',
+    lang: 'en',
+    urls: {
+      general: 'https://www.aljazeera.com/xml/rss/all.xml',
+    },
+  },
+];
@@ -0,0 +1,15 @@
+// lib/api.js - the public JSON API contract shared by the endpoints and the
+// OpenAPI document (api/openapi.js): version and error objects
+//
+// Bump API_VERSION when a documented request or response shape changes.
+export const API_VERSION = '1.2.0';
+
+// Every error answer is { code, message }. `error` repeats the message for
+// clients written before codes were added to all of them.
+export function apiError(code, message) {
+  return { error: message, code, message };
+}
+
+export function sendError(res, status, code, message) {
+  return res.status(status).json(apiError(code, message));
+}
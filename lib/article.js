@@ -0,0 +1,339 @@
+// lib/article.js - read a pasted article link: Google News redirects, then the
+// page's headline, description and site name from <title>, Open Graph/Twitter
+// meta tags and JSON-LD
+import { isIP } from 'node:net';
+import { Agent } from 'undici';
+import { decodeEntities, htmlToText } from './html.js';
+import { MAX_HEADLINE_LENGTH, MAX_SUMMARY_LENGTH } from './guard.js';
+
+const MAX_HTML_BYTES = 1024 * 1024;
+const MAX_HOPS = 5;
+// Meta refreshes slower than this are real pages, not redirects
+const MAX_REFRESH_DELAY_S = 5;
+
+// code is one of: bad_url, blocked, unreachable, timeout, not_html, no_title, too_many_redirects
+export class ArticleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ArticleError';
+    this.code = code;
+  }
+}
+
+function httpUrl(value, base) {
+  try {
+    const u = new URL(String(value), base);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function isGoogleNewsHost(hostname) {
+  return /(^|\.)news\.google\.[a-z.]+$/i.test(hostname);
+}
+
+// /articles/<id> ids are base64url protobuf messages; older ones ("CBMi…")
+// carry the target URL as a length-prefixed string field (tag 0x22).
+function decodeArticleId(id) {
+  const bytes = Buffer.from(id, 'base64url');
+  for (let i = 0; i < bytes.length - 1; i++) {
+    if (bytes[i] !== 0x22) continue;
+    let len = 0;
+    let shift = 0;
+    let j = i + 1;
+    while (j < bytes.length && shift < 28) {
+      const b = bytes[j++];
+      len |= (b & 0x7f) << shift;
+      shift += 7;
+      if (!(b & 0x80)) break;
+    }
+    if (j + len > bytes.length) continue;
+    const text = bytes.subarray(j, j + len).toString('utf8');
+    if (/^https?:\/\//.test(text)) return httpUrl(text);
+  }
+  return null;
+}
+
+// Google News wraps article links: the target sits in ?url= on older links and
+// inside the article id on /articles/ and /rss/articles/ links. Newer opaque
+// ids can't be decoded offline; those come back unchanged and fetchArticle
+// follows them over HTTP instead.
+export function resolveGoogleNewsLink(link) {
+  let u;
+  try {
+    u = new URL(link);
+  } catch {
+    return link;
+  }
+  if (!isGoogleNewsHost(u.hostname)) return link;
+  const param = httpUrl(u.searchParams.get('url') || '');
+  if (param) return param;
+  const id = u.pathname.match(/\/articles\/([\w-]+)/)?.[1];
+  return (id && decodeArticleId(id)) || link;
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return m ? decodeEntities(m[1] ?? m[2] ?? m[3]).trim() : '';
+}
+
+// <meta property|name="key" content="…"> by lower-cased key; the first value wins
+function metaTags(html) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = (attr(tag, 'property') || attr(tag, 'name') || attr(tag, 'itemprop') || attr(tag, 'http-equiv')).toLowerCase();
+    const content = attr(tag, 'content');
+    if (key && content && !(key in meta)) meta[key] = content;
+  }
+  return meta;
+}
+
+// Objects from <script type="application/ld+json"> blocks, @graph entries included
+function jsonLdNodes(html) {
+  const nodes = [];
+  for (const [, body] of html.matchAll(/<script\b[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi)) {
+    let data;
+    try {
+      data = JSON.parse(body.trim());
+    } catch {
+      continue;
+    }
+    const queue = [data];
+    while (queue.length) {
+      const node = queue.shift();
+      if (Array.isArray(node)) queue.push(...node);
+      else if (node && typeof node === 'object') {
+        nodes.push(node);
+        if (node['@graph']) queue.push(node['@graph']);
+      }
+    }
+  }
+  return nodes;
+}
+
+function ldType(node) {
+  return [].concat(node['@type'] || []).join(' ');
+}
+
+function ldText(value) {
+  if (Array.isArray(value)) return ldText(value[0]);
+  if (value && typeof value === 'object') return ldText(value.name ?? value.url ?? value['@id']);
+  return typeof value === 'string' ? value : '';
+}
+
+// "Storm hits coast | Example Times" → "Storm hits coast" when the suffix is the site name
+function stripSiteSuffix(title, site) {
+  const m = title.match(/^(.*\S)\s+[|–—-]\s+([^|–—-]+)$/);
+  if (!m || !site) return title;
+  const norm = s => s.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  return norm(m[2]) === norm(site) || norm(site).includes(norm(m[2])) ? m[1] : title;
+}
+
+function parseDate(value) {
+  const ms = Date.parse(String(value || ''));
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// Headline, description, site name, image and date from a page. Open Graph
+// wins over JSON-LD, which wins over Twitter cards and <title>. `redirect` is
+// set for meta refreshes and Google News interstitials (data-n-au).
+export function extractArticle(html, pageUrl) {
+  const page = String(html ?? '');
+  const meta = metaTags(page);
+  const ld = jsonLdNodes(page);
+  const article = ld.find(n => /Article|BlogPosting|Report/i.test(ldType(n)))
+    || ld.find(n => /WebPage/i.test(ldType(n)))
+    || {};
+  const website = ld.find(n => /WebSite|Organization/i.test(ldType(n)));
+  const host = (() => {
+    try {
+      return new URL(pageUrl).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  })();
+  const titleTag = htmlToText(page.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+  const source = htmlToText(meta['og:site_name'] || ldText(article.publisher) || ldText(website?.name) || meta['application-name'] || host, 80);
+  const title = htmlToText(
+    meta['og:title'] || ldText(article.headline) || meta['twitter:title'] || stripSiteSuffix(titleTag, source) || ldText(article.name),
+    MAX_HEADLINE_LENGTH - 1,
+  );
+  const description = htmlToText(
+    meta['og:description'] || ldText(article.description) || meta['twitter:description'] || meta.description || '',
+    MAX_SUMMARY_LENGTH - 1,
+  );
+  const canonical = page.match(/<link\b[^>]*\brel\s*=\s*["']?canonical\b[^>]*>/i)?.[0];
+  const refresh = meta.refresh?.match(/^\s*(\d+)\s*[;,]\s*url\s*=\s*['"]?([^'"]+)/i);
+  const interstitial = page.match(/\bdata-n-au\s*=\s*["']([^"']+)["']/i)?.[1];
+  return {
+    title,
+    description,
+    source,
+    url: httpUrl(meta['og:url'] || (canonical && attr(canonical, 'href')) || pageUrl, pageUrl) || pageUrl,
+    image: httpUrl(meta['og:image'] || meta['twitter:image'] || ldText(article.image) || '', pageUrl),
+    publishedAt: parseDate(meta['article:published_time'] || article.datePublished),
+    lang: attr(page.match(/<html\b[^>]*>/i)?.[0] || '', 'lang') || null,
+    redirect: httpUrl(interstitial ? decodeEntities(interstitial) : (refresh && Number(refresh[1]) <= MAX_REFRESH_DELAY_S ? refresh[2].trim() : ''), pageUrl),
+  };
+}
+
+// The eight 16-bit groups of an IPv6 address, with "::" expanded and a
+// trailing dotted IPv4 part turned into two groups.
+function ipv6Groups(ip) {
+  let v = ip.toLowerCase().replace(/%.*$/, '');
+  const dotted = v.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    v = `${v.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = v.split('::');
+  const parse = part => (part ? part.split(':').map(g => parseInt(g, 16)) : []);
+  const left = parse(head);
+  const right = tail === undefined ? [] : parse(tail);
+  return [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+const ipv4From = (hi, lo) => `${hi >> 8}.${hi & 0xff}.${lo >> 8}.${lo & 0xff}`;
+
+export function isPrivateAddress(ip) {
+  if (isIP(ip.replace(/%.*$/, '')) === 6) {
+    const g = ipv6Groups(ip);
+    // WHATWG URL writes [::ffff:127.0.0.1] as ::ffff:7f00:1, so mapped and
+    // IPv4-compatible addresses are checked as the IPv4 address they carry.
+    if (g.slice(0, 5).every(x => x === 0) && (g[5] === 0xffff || g[5] === 0)) {
+      if (g[5] === 0 && g[6] === 0) return true; // ::, ::1 and the rest of ::/112
+      return isPrivateAddress(ipv4From(g[6], g[7]));
+    }
+    // 6to4 (2002::/16) embeds an IPv4 address too
+    if (g[0] === 0x2002) return isPrivateAddress(ipv4From(g[1], g[2]));
+    // NAT64 (64:ff9b::/96 and the local-use 64:ff9b:1::/48) reaches IPv4 hosts through a gateway
+    if (g[0] === 0x64 && g[1] === 0xff9b) return true;
+    // Teredo (2001::/32) tunnels to an IPv4 address hidden in the last 32 bits
+    if (g[0] === 0x2001 && g[1] === 0) return true;
+    return (g[0] & 0xfe00) === 0xfc00 // unique local
+      || (g[0] & 0xffc0) === 0xfe80 // link-local
+      || (g[0] & 0xff00) === 0xff00; // multicast
+  }
+  const [a, b, c] = ip.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224
+    || (a === 100 && b >= 64 && b <= 127)
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 0 && c === 0) // IETF protocol assignments
+    || (a === 192 && b === 168)
+    || (a === 198 && (b === 18 || b === 19)); // benchmarking
+}
+
+// Only public http(s) hosts: the endpoint must not become a proxy into the
+// network the server runs in. `lookup` resolves a host name to addresses;
+// resolves to the checked addresses.
+async function assertPublicUrl(url, lookup) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new ArticleError('bad_url', 'not a valid URL');
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw new ArticleError('bad_url', 'only http(s) links are supported');
+  if (u.username || u.password) throw new ArticleError('bad_url', 'links with credentials are not supported');
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = isIP(host) ? [host] : await lookup(host);
+  } catch {
+    throw new ArticleError('unreachable', `cannot resolve ${host}`);
+  }
+  if (!addresses.length || addresses.some(isPrivateAddress)) {
+    throw new ArticleError('blocked', 'the link points to a private address');
+  }
+  return addresses;
+}
+
+// A net-style lookup that answers every host name with the address
+// assertPublicUrl checked, so a DNS-rebinding host cannot switch to a
+// private address between the check and the connection.
+export function pinnedLookup(address) {
+  const family = isIP(address);
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') [options, callback] = [{}, options];
+    if (options?.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+}
+
+function charsetOf(contentType) {
+  const label = contentType.match(/charset=["']?([\w-]+)/i)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(label);
+  } catch {
+    return new TextDecoder('utf-8');
+  }
+}
+
+// One request to `address` without following redirects; returns { redirect }
+// or { html } with at most MAX_HTML_BYTES of the body.
+async function fetchPage(url, address, timeoutMs) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+  const dispatcher = new Agent({ connect: { lookup: pinnedLookup(address) } });
+  try {
+    const r = await fetch(url, {
+      redirect: 'manual',
+      signal: controller.signal,
+      dispatcher,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Nokia3310 News Haiku/1.1)',
+        'Accept': 'text/html, application/xhtml+xml;q=0.9, */*;q=0.5',
+        'Accept-Language': 'en-US,en;q=0.9',
+      },
+    });
+    const location = r.headers.get('location');
+    if (r.status >= 300 && r.status < 400 && location) return { redirect: new URL(location, url).toString() };
+    if (!r.ok) throw new ArticleError('unreachable', `HTTP ${r.status}`);
+    const type = r.headers.get('content-type') || '';
+    if (type && !/html|xml/i.test(type)) throw new ArticleError('not_html', `expected a web page, got ${type.split(';')[0]}`);
+    const chunks = [];
+    let size = 0;
+    if (r.body) {
+      const reader = r.body.getReader();
+      while (size < MAX_HTML_BYTES) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        size += value.length;
+      }
+      reader.cancel().catch(() => {});
+    }
+    return { html: charsetOf(type).decode(Buffer.concat(chunks).subarray(0, MAX_HTML_BYTES)) };
+  } catch (e) {
+    if (e instanceof ArticleError) throw e;
+    if (controller.signal.aborted) throw new ArticleError('timeout', `no response within ${timeoutMs}ms`);
+    throw new ArticleError('unreachable', String(e?.message || e));
+  } finally {
+    clearTimeout(id);
+    dispatcher.destroy().catch(() => {});
+  }
+}
+
+// Follows HTTP redirects, meta refreshes and Google News interstitials (each
+// hop checked with assertPublicUrl) and resolves to the extracted article.
+export async function fetchArticle(link, { lookup, timeoutMs = 8000 } = {}) {
+  let url = resolveGoogleNewsLink(link);
+  for (let hop = 0; hop < MAX_HOPS; hop++) {
+    const [address] = await assertPublicUrl(url, lookup);
+    const page = await fetchPage(url, address, timeoutMs);
+    if (page.redirect) {
+      url = resolveGoogleNewsLink(page.redirect);
+      continue;
+    }
+    const { redirect, ...article } = extractArticle(page.html, url);
+    if (redirect && redirect !== url) {
+      url = resolveGoogleNewsLink(redirect);
+      continue;
+    }
+    if (!article.title) throw new ArticleError('no_title', 'the page has no headline to work with');
+    return article;
+  }
+  throw new ArticleError('too_many_redirects', `gave up after ${MAX_HOPS} redirects`);
+}
@@ -0,0 +1,104 @@
+// lib/cache.js - pluggable key/value storage + stale-while-revalidate helper
+//
+// A store is any object with these async methods:
+//   get(key)                    -> value | undefined
+//   set(key, value, { ttlMs })  -> void   (ttlMs optional; expire after it)
+//   delete(key)                 -> void
+// Values must be JSON-serializable so that file or KV backends (Vercel KV,
+// Redis, a JSON file on disk) can implement the same contract.
+
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const map = new Map();
+  return {
+    async get(key) {
+      const hit = map.get(key);
+      if (!hit) return undefined;
+      if (hit.expiresAt && hit.expiresAt <= Date.now()) {
+        map.delete(key);
+        return undefined;
+      }
+      // refresh recency so eviction drops the least recently used key
+      map.delete(key);
+      map.set(key, hit);
+      return hit.value;
+    },
+    async set(key, value, { ttlMs } = {}) {
+      map.delete(key);
+      map.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : 0 });
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+  };
+}
+
+// A store over a Redis REST API (Vercel KV and Upstash expose the same one:
+// POST a command as a JSON array, get { result } back), so entries are shared
+// by every instance and survive cold starts.
+export function createKvStore({ url, token, timeoutMs = 3000 }) {
+  const command = async (...args) => {
+    const r = await fetch(url.replace(/\/+$/, ''), {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || data.error) throw new Error(`KV ${args[0]} failed: ${data.error || `HTTP ${r.status}`}`);
+    return data.result;
+  };
+  return {
+    async get(key) {
+      const raw = await command('GET', key);
+      return raw == null ? undefined : JSON.parse(raw);
+    },
+    async set(key, value, { ttlMs } = {}) {
+      await command('SET', key, JSON.stringify(value), ...(ttlMs ? ['PX', String(Math.ceil(ttlMs))] : []));
+    },
+    async delete(key) {
+      await command('DEL', key);
+    },
+  };
+}
+
+// KV store when KV_REST_API_URL and KV_REST_API_TOKEN are set, else null.
+export function kvStoreFromEnv(env = process.env) {
+  const url = env.KV_REST_API_URL;
+  const token = env.KV_REST_API_TOKEN;
+  return url && token ? createKvStore({ url, token }) : null;
+}
+
+const inflight = new Map();
+
+// Shares one pending loader call between concurrent callers of the same key.
+export function once(key, loader) {
+  if (inflight.has(key)) return inflight.get(key);
+  const p = Promise.resolve()
+    .then(loader)
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+// Returns { value, state, storedAt } where state is HIT (fresh), STALE (served
+// from cache while a background refresh runs) or MISS (loaded just now).
+// Loader errors propagate on MISS and are swallowed during background refresh.
+export async function staleWhileRevalidate(store, key, loader, { ttlMs, staleMs = 0 }) {
+  const refresh = () => once(key, async () => {
+    const value = await loader();
+    const entry = { value, storedAt: Date.now() };
+    await store.set(key, entry, { ttlMs: ttlMs + staleMs });
+    return entry;
+  });
+  const entry = await store.get(key);
+  if (entry) {
+    const age = Date.now() - entry.storedAt;
+    if (age < ttlMs) return { ...entry, state: 'HIT' };
+    if (age < ttlMs + staleMs) {
+      refresh().catch(() => {});
+      return { ...entry, state: 'STALE' };
+    }
+  }
+  return { ...(await refresh()), state: 'MISS' };
+}
@@ -0,0 +1,109 @@
+// lib/card.js - Nokia-screen share cards for a stored haiku, as SVG and PNG
+import { escapeHtml } from './html.js';
+import { encodePng } from './png.js';
+import { GLYPH_HEIGHT, GLYPH_WIDTH, glyph, toFontText } from './pixel-font.js';
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+const BORDER = 16;
+const PALETTE = ['#b9e88c', '#10390b', '#3a5338', '#aedc82']; // screen, ink, border, scanline
+const [SCREEN, INK, FRAME, SCANLINE] = [0, 1, 2, 3];
+
+function wrap(text, maxChars, maxLines) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  for (const w of words) {
+    if (line && (line + ' ' + w).length > maxChars) {
+      lines.push(line);
+      line = w;
+    } else {
+      line = line ? `${line} ${w}` : w;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = lines[maxLines - 1].slice(0, maxChars - 3).replace(/\s+\S*$/, '') + '...';
+  }
+  return lines;
+}
+
+function footerText(record) {
+  return [record.source, record.country].filter(Boolean).join(' · ');
+}
+
+export function renderCardSvg(record) {
+  const poem = String(record.haiku).split('\n');
+  const size = Math.min(64, Math.floor((CARD_WIDTH - 160) / (0.6 * Math.max(...poem.map(l => l.length), 12))));
+  const lineHeight = size * 1.25;
+  const poemTop = (CARD_HEIGHT - lineHeight * poem.length) / 2 + size * 0.6;
+  const headline = wrap(record.title, 70, 2);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="VT323, 'Courier New', monospace">
+  <defs>
+    <pattern id="scan" width="4" height="4" patternUnits="userSpaceOnUse"><rect width="4" height="1" fill="${PALETTE[SCANLINE]}"/></pattern>
+  </defs>
+  <rect width="100%" height="100%" fill="${PALETTE[FRAME]}"/>
+  <rect x="${BORDER}" y="${BORDER}" width="${CARD_WIDTH - BORDER * 2}" height="${CARD_HEIGHT - BORDER * 2}" rx="12" fill="${PALETTE[SCREEN]}"/>
+  <rect x="${BORDER}" y="${BORDER}" width="${CARD_WIDTH - BORDER * 2}" height="${CARD_HEIGHT - BORDER * 2}" rx="12" fill="url(#scan)"/>
+  <g fill="${PALETTE[INK]}">
+    <text x="56" y="76" font-size="34">NEWS HAIKU</text>
+    <text x="${CARD_WIDTH - 56}" y="76" font-size="34" text-anchor="end">inhaiku.lt</text>
+    ${poem.map((l, i) => `<text x="${CARD_WIDTH / 2}" y="${Math.round(poemTop + i * lineHeight)}" font-size="${size}" text-anchor="middle">${escapeHtml(l)}</text>`).join('\n    ')}
+    ${headline.map((l, i) => `<text x="56" y="${CARD_HEIGHT - 96 + i * 30}" font-size="28" opacity="0.85">${escapeHtml(l)}</text>`).join('\n    ')}
+    <text x="${CARD_WIDTH - 56}" y="${CARD_HEIGHT - 40}" font-size="26" text-anchor="end" opacity="0.7">${escapeHtml(footerText(record))}</text>
+  </g>
+</svg>
+`;
+}
+
+function drawText(pixels, text, x, y, scale) {
+  let cx = x;
+  for (const ch of text) {
+    const cols = glyph(ch) || glyph('?');
+    cols.forEach((bits, col) => {
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        if (!(bits & (1 << row))) continue;
+        for (let dy = 0; dy < scale; dy++) {
+          const offset = (y + row * scale + dy) * CARD_WIDTH + cx + col * scale;
+          if (offset >= 0 && offset + scale <= pixels.length) pixels.fill(INK, offset, offset + scale);
+        }
+      }
+    });
+    cx += (GLYPH_WIDTH + 1) * scale;
+  }
+}
+
+function textWidth(text, scale) {
+  return text.length * (GLYPH_WIDTH + 1) * scale - scale;
+}
+
+// Pixel-font rendering, so it only covers Latin scripts; poems or headlines
+// that don't survive ASCII folding are left off and the card shows the brand.
+export function renderCardPng(record) {
+  const pixels = new Uint8Array(CARD_WIDTH * CARD_HEIGHT).fill(FRAME);
+  for (let y = BORDER; y < CARD_HEIGHT - BORDER; y++) {
+    pixels.fill(y % 4 === 0 ? SCANLINE : SCREEN, y * CARD_WIDTH + BORDER, (y + 1) * CARD_WIDTH - BORDER);
+  }
+  drawText(pixels, 'NEWS HAIKU', 56, 52, 4);
+  drawText(pixels, 'inhaiku.lt', CARD_WIDTH - 56 - textWidth('inhaiku.lt', 4), 52, 4);
+
+  const poem = String(record.haiku).split('\n').map(toFontText);
+  if (poem.every(Boolean)) {
+    const longest = Math.max(...poem.map(l => l.length), 1);
+    const scale = Math.max(2, Math.min(7, Math.floor((CARD_WIDTH - 160) / (longest * (GLYPH_WIDTH + 1)))));
+    const lineHeight = (GLYPH_HEIGHT + 4) * scale;
+    const top = Math.round((CARD_HEIGHT - lineHeight * poem.length) / 2);
+    poem.forEach((line, i) => {
+      drawText(pixels, line, Math.round((CARD_WIDTH - textWidth(line, scale)) / 2), top + i * lineHeight, scale);
+    });
+  }
+  const headline = toFontText(record.title);
+  if (headline) {
+    wrap(headline, 58, 2).forEach((line, i) => drawText(pixels, line, 56, CARD_HEIGHT - 128 + i * 30, 3));
+  }
+  const footer = toFontText(footerText(record).replace('·', '-'));
+  if (footer) drawText(pixels, footer, CARD_WIDTH - 56 - textWidth(footer, 3), CARD_HEIGHT - 56, 3);
+  return encodePng(CARD_WIDTH, CARD_HEIGHT, pixels, PALETTE);
+}
@@ -0,0 +1,20 @@
+// lib/concurrency.js - run async work over a list with a cap on parallel calls
+
+// Like Promise.allSettled(items.map(fn)) but with at most `limit` calls of
+// fn(item, index) in flight. Results keep the input order.
+export async function mapSettled(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: 'fulfilled', value: await fn(items[i], i) };
+      } catch (reason) {
+        results[i] = { status: 'rejected', reason };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,33 @@
+// lib/cors.js - cross-origin access for the public API routes, so the
+// embeddable widget (public/embed.js) can call them from other sites
+//
+// CORS_ORIGINS is a comma-separated allow-list of origins; unset or "*"
+// lets any site in. Requests carry no cookies, so a wildcard is safe.
+const MAX_AGE_S = 60 * 60 * 24;
+const EXPOSED = ['ETag', 'Last-Modified', 'Retry-After', 'X-Cache', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'];
+
+function allowedOrigins() {
+  const list = String(process.env.CORS_ORIGINS || '*').split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+  return list.includes('*') ? '*' : list;
+}
+
+// Sets the CORS headers for `methods` and answers preflight requests.
+// Returns true when the response has been sent (an OPTIONS preflight).
+export function cors(req, res, { methods = ['GET'] } = {}) {
+  const allowed = allowedOrigins();
+  const origin = req.headers?.origin;
+  if (allowed === '*') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    // The answer depends on the caller, so shared caches must key on it.
+    res.setHeader('Vary', 'Origin');
+    if (origin && allowed.includes(origin)) res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Access-Control-Expose-Headers', EXPOSED.join(', '));
+  if (req.method !== 'OPTIONS') return false;
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+  res.setHeader('Access-Control-Max-Age', String(MAX_AGE_S));
+  res.status(204).end();
+  return true;
+}
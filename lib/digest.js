@@ -0,0 +1,120 @@
+// lib/digest.js - renders a daily haiku digest as RSS 2.0, Atom 1.0 or HTML
+//
+// A digest is { date, country, category, lang, generatedAt, items } where each
+// item is a headline ({ title, source, url, publishedAt }) plus its `haiku`.
+import { createHash } from 'node:crypto';
+import { escapeHtml } from './html.js';
+
+function titleOf(digest) {
+  return `inhaiku.lt — today in haiku (${digest.country}, ${digest.category})`;
+}
+
+function itemId(digest, item) {
+  const hash = createHash('sha1').update(item.title).digest('base64url').slice(0, 12);
+  return `tag:inhaiku.lt,${digest.date}:${digest.country}/${digest.category}/${digest.lang}/${hash}`;
+}
+
+function itemLink(item, links) {
+  return item.url && item.url !== '#' ? item.url : links.html;
+}
+
+function poemHtml(haiku) {
+  return haiku.split('\n').map(escapeHtml).join('<br/>');
+}
+
+// `links` holds absolute URLs: { self, html } for the feed and the page.
+export function renderRss(digest, links) {
+  const items = digest.items.map(item => `
+    <item>
+      <title>${escapeHtml(item.title)}</title>
+      <link>${escapeHtml(itemLink(item, links))}</link>
+      <guid isPermaLink="false">${escapeHtml(itemId(digest, item))}</guid>
+      <pubDate>${new Date(digest.generatedAt).toUTCString()}</pubDate>
+      ${item.source ? `<source url="${escapeHtml(links.self)}">${escapeHtml(item.source)}</source>` : ''}
+      <description>${escapeHtml(`<p>${poemHtml(item.haiku)}</p><p>— ${escapeHtml(item.source || '')}</p>`)}</description>
+    </item>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(titleOf(digest))}</title>
+    <link>${escapeHtml(links.html)}</link>
+    <atom:link href="${escapeHtml(links.self)}" rel="self" type="application/rss+xml"/>
+    <description>The day's top headlines, each turned into a haiku.</description>
+    <language>${escapeHtml(digest.lang)}</language>
+    <lastBuildDate>${new Date(digest.generatedAt).toUTCString()}</lastBuildDate>
+    <ttl>60</ttl>${items}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(digest, links) {
+  const updated = new Date(digest.generatedAt).toISOString();
+  const entries = digest.items.map(item => `
+  <entry>
+    <id>${escapeHtml(itemId(digest, item))}</id>
+    <title>${escapeHtml(item.title)}</title>
+    <link href="${escapeHtml(itemLink(item, links))}"/>
+    <updated>${updated}</updated>
+    ${item.source ? `<author><name>${escapeHtml(item.source)}</name></author>` : ''}
+    <content type="html">${escapeHtml(`<p>${poemHtml(item.haiku)}</p>`)}</content>
+  </entry>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeHtml(digest.lang)}">
+  <id>tag:inhaiku.lt,2024:digest/${digest.country}/${digest.category}/${digest.lang}</id>
+  <title>${escapeHtml(titleOf(digest))}</title>
+  <subtitle>The day's top headlines, each turned into a haiku.</subtitle>
+  <link href="${escapeHtml(links.self)}" rel="self"/>
+  <link href="${escapeHtml(links.html)}" rel="alternate" type="text/html"/>
+  <updated>${updated}</updated>
+  <author><name>inhaiku.lt</name></author>${entries}
+</feed>
+`;
+}
+
+// `links` also carries { rss, atom } for the page's feed autodiscovery.
+export function renderHtml(digest, links) {
+  const items = digest.items.map(item => `
+        <div class="history-item">
+          <div class="item-header">
+            <span class="item-source">${escapeHtml(item.source || '')}</span>
+          </div>
+          <div class="item-headline"><a href="${escapeHtml(itemLink(item, links))}" target="_blank" rel="noopener noreferrer">${escapeHtml(item.title)}</a></div>
+          <div class="item-haiku">${escapeHtml(item.haiku)}</div>
+        </div>`).join('');
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(digest.lang)}" data-theme="dark">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover" />
+  <title>${escapeHtml(titleOf(digest))}</title>
+  <meta name="description" content="The day's top headlines, each turned into a haiku." />
+  <link rel="alternate" type="application/rss+xml" title="RSS" href="${escapeHtml(links.rss)}" />
+  <link rel="alternate" type="application/atom+xml" title="Atom" href="${escapeHtml(links.atom)}" />
+  <meta name="theme-color" content="#1e2f23" />
+  <link href="https://fonts.googleapis.com/css2?family=VT323&display=swap" rel="stylesheet" />
+  <link rel="stylesheet" href="/css/styles.css" />
+</head>
+<body>
+  <div class="phone-container">
+    <div class="screen">
+      <div class="status-bar">
+        <span>NEWS HAIKU</span>
+        <span>${escapeHtml(digest.date)}</span>
+      </div>
+      <div class="content">
+        <div class="source-indicator">Today in haiku • ${escapeHtml(digest.country)} • ${escapeHtml(digest.category)} • ${escapeHtml(digest.lang)}</div>${items}
+      </div>
+      <div class="button-container">
+        <div class="social-buttons">
+          <a href="${escapeHtml(links.rss)}" class="social-button">📡 RSS</a>
+          <a href="${escapeHtml(links.atom)}" class="social-button">📡 Atom</a>
+          <a href="/" class="social-button">🌺 Make your own</a>
+        </div>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,55 @@
+// lib/feeds.js - resolve the feed registry (config/feeds.js) for a country/category/lang
+import registry from '../config/feeds.js';
+
+export const CATEGORIES = ['business', 'entertainment', 'general', 'health', 'science', 'sports', 'technology'];
+const allowedCats = new Set(CATEGORIES);
+const COUNTRY_DEFAULT_LANG = {
+  US: 'en', GB: 'en', IE: 'en', CA: 'en', AU: 'en', NZ: 'en',
+  LT: 'lt', LV: 'lv', EE: 'et',
+  PL: 'pl', DE: 'de', FR: 'fr', ES: 'es', IT: 'it', PT: 'pt', NL: 'nl',
+  NO: 'no', SE: 'sv', DK: 'da', FI: 'fi',
+  CZ: 'cs', SK: 'sk', HU: 'hu', RO: 'ro', BG: 'bg', GR: 'el',
+  HR: 'hr', SI: 'sl', RS: 'sr',
+  UA: 'uk', TR: 'tr',
+  BR: 'pt', MX: 'es', AR: 'es', CL: 'es', CO: 'es', PE: 'es',
+  JP: 'ja', KR: 'ko', CN: 'zh-CN', TW: 'zh-TW', HK: 'zh-HK',
+  IN: 'en', ZA: 'en',
+};
+export function cleanCountry(code) {
+  const m = String(code || '').trim().toUpperCase().match(/^[A-Z]{2}$/);
+  return m ? m[0] : 'US';
+}
+export function cleanCategory(category) {
+  const cat = String(category || '').toLowerCase();
+  return allowedCats.has(cat) ? cat : 'general';
+}
+// Accepts codes like "lt" or "zh-CN"; anything else falls back to the country default.
+export function cleanLang(lang, country) {
+  const m = String(lang || '').trim().match(/^([a-z]{2})(?:-([a-z]{2}))?$/i);
+  if (!m) return defaultLangForCountry(country);
+  return m[2] ? `${m[1].toLowerCase()}-${m[2].toUpperCase()}` : m[1].toLowerCase();
+}
+export function defaultLangForCountry(country) {
+  return COUNTRY_DEFAULT_LANG[country] || 'en';
+}
+function matches(list, value) {
+  return list === '*' || (Array.isArray(list) && list.includes(value));
+}
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? encodeURIComponent(vars[k]) : m));
+}
+export function feedsFor({ country = 'US', category = 'general', lang }, sources = registry) {
+  const c = cleanCountry(country);
+  const cat = cleanCategory(category);
+  const l = lang || defaultLangForCountry(c);
+  const vars = { country: c, lang: l, hl: `${l}-${c}`, ceid: `${c}:${l}` };
+  return sources
+    .filter(s => matches(s.countries, c) && matches(s.langs ?? '*', l) && s.urls?.[cat])
+    .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100))
+    .map(s => ({
+      name: s.name.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m),
+      url: fill(s.urls[cat], vars),
+      priority: s.priority ?? 100,
+      lang: s.lang || l,
+    }));
+}
@@ -0,0 +1,35 @@
+// lib/forms.js - poem style (tone) and form (shape) presets shared by the API
+
+export const STYLES = {
+  classic: { label: 'Classic', tone: 'Calm, evocative tone; concrete images from nature and daily life.' },
+  senryu: { label: 'Senryu / satirical', tone: 'Wry, satirical senryu tone about human nature; gentle irony, no cruelty.' },
+  melancholic: { label: 'Melancholic', tone: 'Quiet, melancholic tone; a sense of loss and passing time.' },
+  absurd: { label: 'Absurd', tone: 'Playful, absurd tone; surprising and surreal images.' },
+  kigo: { label: 'Seasonal (kigo)', tone: 'Traditional tone with one clear seasonal word (kigo) for {season}.' },
+  children: { label: 'Children-friendly', tone: 'Gentle, simple words a child understands; no violence or frightening detail.' },
+  // used instead of the chosen style for sensitive headlines (see lib/sensitive.js)
+  elegy: { label: 'Elegy', tone: 'Quiet, respectful elegy; honour the people affected with restraint. No irony, wordplay, humour or graphic detail of harm.' },
+};
+
+export const FORMS = {
+  haiku: { label: 'Haiku', name: 'haiku', lines: 3, pattern: [5, 7, 5] },
+  tanka: { label: 'Tanka', name: 'tanka', lines: 5, pattern: [5, 7, 5, 7, 7] },
+  // two short lines with no fixed syllable count
+  micro: { label: 'Micro (2 lines)', name: 'two-line micro-poem', lines: 2, pattern: null },
+};
+
+export const DEFAULT_STYLE = 'classic';
+export const DEFAULT_FORM = 'haiku';
+
+// Northern-hemisphere season for kigo prompts.
+export function seasonFor(date = new Date()) {
+  const m = date.getUTCMonth();
+  if (m < 2 || m === 11) return 'winter';
+  if (m < 5) return 'spring';
+  if (m < 8) return 'summer';
+  return 'autumn';
+}
+
+export function toneFor(style, date) {
+  return STYLES[style].tone.replace('{season}', seasonFor(date));
+}
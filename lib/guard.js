@@ -0,0 +1,49 @@
+// lib/guard.js - keep client text from steering the prompt, and model output honest
+
+export const MAX_HEADLINE_LENGTH = 300;
+export const MAX_SUMMARY_LENGTH = 600;
+
+// Phrases that read as instructions to the model rather than news.
+const INSTRUCTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override)\b[^.!?\n]{0,40}\b(?:instructions?|prompts?|rules?|above|previous|prior)\b/gi,
+  /\b(?:you are|you're|act as|pretend to be|roleplay as)\s+(?:now\s+)?(?:an?\s+)?(?:ai|assistant|chatbot|gpt|model|system|developer|dan)\b/gi,
+  /\b(?:system|assistant|user|developer)\s*(?:prompt)?\s*:/gi,
+  /\b(?:new|updated)\s+instructions?\b/gi,
+  /\b(?:instead|rather)\s*,?\s*(?:write|output|print|say|respond|answer|tell|explain|list|generate)\b/gi,
+  /<\|[^|]*\|>/g,
+  /\[\/?(?:INST|SYS)\]/gi,
+];
+
+// Collapses the headline (or summary) to one plain line and blanks out instruction-like
+// phrases. Returns { text, flagged } so callers can log or reject.
+export function neutralizeHeadline(raw) {
+  let text = String(raw)
+    .normalize('NFKC')
+    .replace(/[\u0000-\u001f\u007f\u200b-\u200f\u202a-\u202e\u2060-\u2064]/g, ' ')
+    .replace(/`{3,}|"{3,}|'{3,}/g, ' ')
+    .replace(/[{}<>]/g, ' ');
+  let flagged = false;
+  for (const re of INSTRUCTION_PATTERNS) {
+    text = text.replace(re, () => {
+      flagged = true;
+      return ' … ';
+    });
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+  return { text, flagged };
+}
+
+const MAX_LINE_LENGTH = 80;
+const NOT_POETRY = [
+  /https?:\/\/|www\./i,
+  /```|^\s*[#*>-]\s|^\s*\d+[.)]\s/m,
+  /\b(?:as an ai|language model|i cannot|i can't|i'm sorry|here is|here's|sure[,!])\b/i,
+  /[{}<>\[\]|\\]/,
+];
+
+// True when the lines look like a short poem of the expected length and not
+// a refusal, an explanation, markup or whatever the headline asked for.
+export function looksLikePoem(lines, expectedLines) {
+  if (!Array.isArray(lines) || lines.length !== expectedLines) return false;
+  return lines.every(l => l.length > 0 && l.length <= MAX_LINE_LENGTH && !NOT_POETRY.some(re => re.test(l)));
+}
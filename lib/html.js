@@ -0,0 +1,46 @@
+// lib/html.js - tiny HTML helpers: escaping for generated pages, text from feed and page snippets
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', bdquo: '„', copy: '©', reg: '®', euro: '€',
+};
+
+// For text and attribute values in generated HTML/XML.
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+export function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+// Strips tags (dropping script/style bodies), decodes entities and collapses
+// whitespace. Entity-encoded markup ("&lt;p&gt;") is decoded and stripped too.
+export function htmlToText(html, maxLength = Infinity) {
+  let text = String(html ?? '');
+  for (let pass = 0; pass < 2; pass++) {
+    text = text
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ');
+    text = decodeEntities(text);
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+  if (text.length > maxLength) {
+    text = text.slice(0, maxLength).replace(/\s+\S*$/, '') + '…';
+  }
+  return text;
+}
+
+// First <img src="..."> in an HTML fragment, if any.
+export function firstImageSrc(html) {
+  const m = String(html ?? '').match(/<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/i);
+  return m ? decodeEntities(m[1]) : null;
+}
@@ -0,0 +1,21 @@
+// lib/log.js - the one place API code reports problems it recovers from or
+// cannot show the caller (provider fallbacks, unexpected errors)
+//
+// Defaults to console; LOG_LEVEL=silent turns it off, and setLogger swaps in
+// another sink, e.g. a log drain or a test spy (null restores the console).
+const toConsole = (level, scope, message) => console[level](`[${scope}] ${message}`);
+let sink = toConsole;
+
+export function setLogger(next) {
+  sink = next || toConsole;
+}
+
+function write(level, scope, message) {
+  if (process.env.LOG_LEVEL === 'silent') return;
+  sink(level, scope, message instanceof Error ? message.message : String(message));
+}
+
+export const log = {
+  warn: (scope, message) => write('warn', scope, message),
+  error: (scope, message) => write('error', scope, message),
+};
@@ -0,0 +1,37 @@
+// lib/providers/errors.js - provider-neutral error type for LLM calls
+
+// code is one of: unconfigured, auth, rate_limited, timeout, unavailable, blocked, bad_response, bad_output
+export class ProviderError extends Error {
+  constructor(provider, code, message, { status, cause } = {}) {
+    super(`[${provider}] ${message}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.code = code;
+    if (status) this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+export function codeForStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limited';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status >= 500) return 'unavailable';
+  return 'bad_response';
+}
+
+// Runs fn(signal), aborting after timeoutMs and reporting that as a timeout.
+export async function withTimeout(provider, timeoutMs, fn) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fn(controller.signal);
+  } catch (e) {
+    if (controller.signal.aborted) {
+      throw new ProviderError(provider, 'timeout', `no response within ${timeoutMs}ms`, { cause: e });
+    }
+    throw e;
+  } finally {
+    clearTimeout(id);
+  }
+}
@@ -0,0 +1,51 @@
+// lib/providers/gemini.js - Google Gemini via @google/generative-ai
+import {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIFetchError,
+  GoogleGenerativeAIResponseError,
+} from '@google/generative-ai';
+import { ProviderError, codeForStatus, withTimeout } from './errors.js';
+
+function mapError(e) {
+  if (e instanceof ProviderError) return e;
+  if (e instanceof GoogleGenerativeAIFetchError) {
+    return new ProviderError('gemini', codeForStatus(e.status), e.statusText || 'request failed', { status: e.status, cause: e });
+  }
+  if (e instanceof GoogleGenerativeAIResponseError) {
+    return new ProviderError('gemini', 'blocked', 'response blocked by safety filters', { cause: e });
+  }
+  return new ProviderError('gemini', 'unavailable', String(e?.message || e), { cause: e });
+}
+
+export function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash', timeoutMs = 15000 }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generative = genAI.getGenerativeModel({ model });
+  return {
+    name: 'gemini',
+    model,
+    async generate({ prompt }) {
+      try {
+        const result = await withTimeout('gemini', timeoutMs, signal => generative.generateContent(prompt, { signal }));
+        return result.response.text();
+      } catch (e) {
+        throw mapError(e);
+      }
+    },
+    async *stream({ prompt }) {
+      const controller = new AbortController();
+      const id = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const result = await generative.generateContentStream(prompt, { signal: controller.signal });
+        for await (const chunk of result.stream) {
+          const text = chunk.text();
+          if (text) yield text;
+        }
+      } catch (e) {
+        if (controller.signal.aborted) throw new ProviderError('gemini', 'timeout', `no response within ${timeoutMs}ms`, { cause: e });
+        throw mapError(e);
+      } finally {
+        clearTimeout(id);
+      }
+    },
+  };
+}
@@ -0,0 +1,92 @@
+// lib/providers/index.js - LLM provider selection from env + ordered fallback
+//
+// HAIKU_PROVIDERS   comma-separated order, e.g. "gemini,openai,mock"
+//                   (default: every configured provider; mock outside production)
+// GEMINI_API_KEY, GEMINI_MODEL, GEMINI_TIMEOUT_MS
+// OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL, OPENAI_TIMEOUT_MS
+import { ProviderError } from './errors.js';
+import { log } from '../log.js';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+export { ProviderError } from './errors.js';
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const FACTORIES = {
+  gemini: env => env.GEMINI_API_KEY && createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || undefined,
+    timeoutMs: numberOr(env.GEMINI_TIMEOUT_MS, 15000),
+  }),
+  openai: env => env.OPENAI_BASE_URL && createOpenAIProvider({
+    baseUrl: env.OPENAI_BASE_URL,
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL || undefined,
+    timeoutMs: numberOr(env.OPENAI_TIMEOUT_MS, 30000),
+  }),
+  mock: () => createMockProvider(),
+};
+
+export function providersFromEnv(env = process.env) {
+  const names = env.HAIKU_PROVIDERS
+    ? env.HAIKU_PROVIDERS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+    : ['gemini', 'openai', ...(env.NODE_ENV === 'production' ? [] : ['mock'])];
+  return names.map(n => FACTORIES[n]?.(env)).filter(Boolean);
+}
+
+// Tries each provider in order; returns { text, provider } from the first that
+// answers, otherwise throws the last ProviderError (with all failures in .failures).
+export async function generateWithFallback(providers, request) {
+  if (!providers.length) {
+    throw new ProviderError('none', 'unconfigured', 'no haiku provider configured');
+  }
+  const failures = [];
+  for (const p of providers) {
+    try {
+      const text = await p.generate(request);
+      return { text, provider: p.name, model: p.model };
+    } catch (e) {
+      const err = e instanceof ProviderError ? e : new ProviderError(p.name, 'unavailable', String(e?.message || e), { cause: e });
+      failures.push(err);
+      log.warn('providers', err);
+    }
+  }
+  const last = failures[failures.length - 1];
+  last.failures = failures.map(f => ({ provider: f.provider, code: f.code }));
+  throw last;
+}
+
+// Streaming counterpart: yields text chunks. Falls back to the next provider
+// only while nothing has been yielded yet; after that, errors propagate.
+// The provider that answered is written to info.provider.
+export async function* streamWithFallback(providers, request, info = {}) {
+  if (!providers.length) {
+    throw new ProviderError('none', 'unconfigured', 'no haiku provider configured');
+  }
+  const failures = [];
+  for (const p of providers) {
+    let started = false;
+    try {
+      const chunks = p.stream ? p.stream(request) : [await p.generate(request)];
+      for await (const chunk of chunks) {
+        started = true;
+        info.provider = p.name;
+        yield chunk;
+      }
+      return;
+    } catch (e) {
+      const err = e instanceof ProviderError ? e : new ProviderError(p.name, 'unavailable', String(e?.message || e), { cause: e });
+      if (started) throw err;
+      failures.push(err);
+      log.warn('providers', err);
+    }
+  }
+  const last = failures[failures.length - 1];
+  last.failures = failures.map(f => ({ provider: f.provider, code: f.code }));
+  throw last;
+}
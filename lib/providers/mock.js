@@ -0,0 +1,68 @@
+// lib/providers/mock.js - deterministic, offline haiku for development and tests
+import { countSyllables } from '../syllables.js';
+
+const TEMPLATES = {
+  en: {
+    first: ['Morning paper folds', 'Rain on the rooftops', 'Cold wind at the door', 'Old news, new sunrise'],
+    middle: [w => `${w} in the evening news`, w => `whispers of ${w} tonight`, w => `the wires speak of ${w}`],
+    last: ['the city hums on', 'ink dries in the dusk', 'the kettle still sings', 'a gull cries, then gone'],
+    tail: ['the signal fades to static', 'we turn off the kitchen light'],
+  },
+  lt: {
+    first: ['Rytas vėl tylus', 'Lietus ant stogų', 'Vakaro šviesa'],
+    middle: [w => `žinios apie ${w}`, w => `vėl kalba apie ${w}`, w => `tyliai sklinda ${w}`],
+    last: ['miestas vėl miega', 'lieka tik tyla', 'vėjas nurimsta'],
+    tail: ['radijas vėl nutyla', 'gęsta šviesa virtuvėj'],
+  },
+};
+
+function hash(text) {
+  let h = 2166136261;
+  for (const ch of String(text)) h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+  return h >>> 0;
+}
+
+function keyword(headline) {
+  const words = String(headline).match(/[\p{L}\p{N}]+/gu) || ['news'];
+  return words.reduce((a, b) => (b.length > a.length ? b : a)).toLowerCase();
+}
+
+function compose({ headline = '', lang = 'en', form = 'haiku' }) {
+  const tpl = TEMPLATES[String(lang).split('-')[0]] || TEMPLATES.en;
+  const h = hash(`${headline}|${lang}`);
+  const w = keyword(headline);
+  // pick the middle line whose syllables land closest to 7
+  const middle = tpl.middle
+    .map(fn => fn(w))
+    .sort((a, b) => Math.abs(countSyllables(a, lang).count - 7) - Math.abs(countSyllables(b, lang).count - 7))[0];
+  const lines = [tpl.first[h % tpl.first.length], middle, tpl.last[(h >>> 8) % tpl.last.length]];
+  if (form === 'tanka') lines.push(...tpl.tail);
+  if (form === 'micro') lines.pop();
+  return lines.join('\n');
+}
+
+// Stand-in translation (request.task === 'gloss'): the text tagged with the
+// reader language, in the "Headline: …" + poem lines shape api/haiku.js expects.
+function gloss({ headline = '', haiku, lang = 'en' }) {
+  return [`Headline: [${lang}] ${headline}`, ...(haiku ? haiku.split('\n').map(l => `[${lang}] ${l}`) : [])].join('\n');
+}
+
+// Stand-in sensitivity check (request.task === 'classify'): flags nothing, so
+// only the keyword lists in lib/sensitive.js tag headlines.
+function answer(request) {
+  if (request.task === 'classify') return 'none';
+  return request.task === 'gloss' ? gloss(request) : compose(request);
+}
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'template',
+    async generate(request) {
+      return answer(request);
+    },
+    async *stream(request) {
+      for (const word of answer(request).split(/(?<=\s)/)) yield word;
+    },
+  };
+}
@@ -0,0 +1,81 @@
+// lib/providers/openai.js - any OpenAI-compatible /chat/completions endpoint
+// (OpenAI itself, llama.cpp server, Ollama, LM Studio, ...)
+import { ProviderError, codeForStatus, withTimeout } from './errors.js';
+
+export function createOpenAIProvider({ baseUrl, apiKey, model = 'llama3', timeoutMs = 30000 }) {
+  const endpoint = `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`;
+  const post = async (prompt, signal, stream) => {
+    let r;
+    try {
+      r = await fetch(endpoint, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.9,
+          stream,
+        }),
+      });
+    } catch (e) {
+      if (signal.aborted) throw e;
+      throw new ProviderError('openai', 'unavailable', String(e?.message || e), { cause: e });
+    }
+    if (!r.ok) {
+      throw new ProviderError('openai', codeForStatus(r.status), `HTTP ${r.status}`, { status: r.status });
+    }
+    return r;
+  };
+  return {
+    name: 'openai',
+    model,
+    async generate({ prompt }) {
+      // The body is read under the same timeout: a server can send headers and then stall.
+      const data = await withTimeout('openai', timeoutMs, async signal => {
+        const r = await post(prompt, signal, false);
+        return r.json().catch(e => {
+          if (signal.aborted) throw e;
+          return null;
+        });
+      });
+      const text = data?.choices?.[0]?.message?.content;
+      if (typeof text !== 'string' || !text.trim()) {
+        throw new ProviderError('openai', 'bad_response', 'no message content in response');
+      }
+      return text;
+    },
+    // Server-sent "data: {json}" lines carrying choices[0].delta.content, ending with "data: [DONE]"
+    async *stream({ prompt }) {
+      const controller = new AbortController();
+      const id = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const r = await post(prompt, controller.signal, true);
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of r.body) {
+          buffer += decoder.decode(bytes, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          for (const line of lines) {
+            const data = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !data) continue;
+            if (data === '[DONE]') return;
+            let delta;
+            try { delta = JSON.parse(data)?.choices?.[0]?.delta?.content; } catch {}
+            if (delta) yield delta;
+          }
+        }
+      } catch (e) {
+        if (controller.signal.aborted) throw new ProviderError('openai', 'timeout', `no response within ${timeoutMs}ms`, { cause: e });
+        if (e instanceof ProviderError) throw e;
+        throw new ProviderError('openai', 'unavailable', String(e?.message || e), { cause: e });
+      } finally {
+        clearTimeout(id);
+      }
+    },
+  };
+}
@@ -0,0 +1,43 @@
+// lib/rate-limit.js - per-key token bucket on top of a lib/cache.js store
+//
+// The default in-memory store is per instance; on serverless platforms pass
+// a shared KV-backed store so the limit holds across instances. Updates are
+// read-then-write, so a shared store may let a burst slip slightly over.
+import { createMemoryStore } from './cache.js';
+
+export function createRateLimiter({ capacity = 10, refillPerMinute = 10, store = createMemoryStore({ maxEntries: 10000 }) } = {}) {
+  const perMs = refillPerMinute / 60000;
+  // After this long an untouched bucket is full again, so it can simply expire.
+  const idleMs = Math.ceil(capacity / perMs);
+  return {
+    capacity,
+    // Returns { ok, remaining, retryAfter } with retryAfter in whole seconds.
+    async take(key, cost = 1) {
+      const now = Date.now();
+      const bucket = await store.get(`rl:${key}`);
+      const tokens = bucket
+        ? Math.min(capacity, bucket.tokens + (now - bucket.at) * perMs)
+        : capacity;
+      if (tokens < cost) {
+        return { ok: false, remaining: 0, retryAfter: Math.max(1, Math.ceil((cost - tokens) / perMs / 1000)) };
+      }
+      await store.set(`rl:${key}`, { tokens: tokens - cost, at: now }, { ttlMs: idleMs });
+      return { ok: true, remaining: Math.floor(tokens - cost), retryAfter: 0 };
+    },
+  };
+}
+
+// The key for per-IP limits. Forwarding headers are only as trustworthy as
+// the proxy that sets them, so they are read only where one is known:
+// - on Vercel the edge overwrites x-real-ip/x-forwarded-for with the caller;
+// - TRUST_PROXY=<n> means n proxies of ours append to x-forwarded-for, so the
+//   client is the n-th entry from the right (anything left of it is forgeable);
+// - otherwise (server.js, unknown proxies) only the socket address counts.
+export function clientIp(req, env = process.env) {
+  const socketIp = req.socket?.remoteAddress || 'unknown';
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (env.VERCEL) return req.headers?.['x-real-ip'] || forwarded[0] || socketIp;
+  const hops = Number.parseInt(env.TRUST_PROXY, 10);
+  if (hops > 0 && forwarded.length) return forwarded[Math.max(0, forwarded.length - hops)];
+  return socketIp;
+}
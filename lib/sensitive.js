@@ -0,0 +1,226 @@
+// lib/sensitive.js - tag headlines about deaths, violence and tragedies so
+// they are not turned into glib poems: keyword lists per supported language,
+// plus an optional model check over a whole list of headlines
+//
+// A term ending in * is a stem matched at the start of a word; other terms
+// must match whole words. Chinese, Japanese and Korean have no word breaks,
+// so their terms match anywhere.
+const TERMS = {
+  en: [
+    'dead', 'death*', 'dies', 'died', 'dying', 'killed', 'killing', 'killings', 'slain', 'murder*', 'homicid*', 'manslaughter',
+    'mass shooting*', 'shot dead', 'gunman', 'gunmen', 'massacr*', 'slaughter*', 'genocid*', 'suicid*', 'terror*', 'bombing*', 'car bomb*',
+    'rape', 'raped', 'rapist*', 'sexual abuse', 'sexual assault*', 'child abuse', 'hostage*', 'abduct*', 'kidnap*',
+    'behead*', 'lynch*', 'femicid*', 'stabbed', 'stabbing*', 'executed', 'war crime*', 'airstrike*', 'air strike*',
+    'casualt*', 'victim*', 'fatal*', 'death toll', 'funeral*', 'mourn*', 'drown*', 'overdose*', 'famine*', 'bodies',
+  ],
+  lt: [
+    'žuvo', 'žuvę', 'žuvusi*', 'žūsta', 'žūt*', 'mirt*', 'mirė', 'mirus*', 'nužud*', 'žudyn*', 'žudik*', 'savižud*',
+    'susišaud*', 'šaudyn*', 'nušov*', 'teror*', 'sprogdin*', 'išžagin*', 'prievartav*', 'smurt*', 'aukų', 'įkaitų',
+    'genocid*', 'laidotuv*', 'gedul*', 'nuskend*', 'lavon*', 'tragedij*', 'tragišk*', 'karo nusikalt*',
+  ],
+  lv: [
+    'nāv*', 'miris', 'mirusi*', 'miruš*', 'bojāgāj*', 'gāja bojā', 'gājuši bojā', 'nogalin*', 'slepkav*', 'apšaud*',
+    'slaktiņ*', 'pašnāvīb*', 'teror*', 'izvarot*', 'vardarbīb*', 'ķīlniek*', 'genocīd*', 'upur*', 'bēres', 'bērēs',
+    'sēras', 'sērās', 'noslīk*', 'līķ*', 'traģēdij*',
+  ],
+  et: [
+    'hukk*', 'surm*', 'surn*', 'suri', 'tapeti', 'tapetud', 'tapmis*', 'mõrv*', 'tulistam*', 'veresaun*', 'enesetap*',
+    'terror*', 'vägista*', 'pantvang*', 'genotsiid*', 'ohver', 'ohvri*', 'matus*', 'lein*', 'uppu*', 'laip*', 'tragöödia*',
+  ],
+  pl: [
+    'zgin*', 'śmierć', 'śmierci', 'śmiertel*', 'nie żyje', 'zmarł*', 'zabit*', 'zabił*', 'zabój*', 'morderst*',
+    'zamordow*', 'strzelanin*', 'masakr*', 'rzeź', 'samobój*', 'terror*', 'zamach*', 'zgwałc*', 'gwałt*', 'pedofil*',
+    'zakładni*', 'ludobójst*', 'ofiar*', 'pogrzeb*', 'żałob*', 'utonął', 'utonęł*', 'zwłoki', 'zbrodni*', 'tragedi*',
+  ],
+  de: [
+    'tod', 'todes*', 'tot', 'tote', 'toten', 'getötet', 'tötet', 'tötung*', 'tödlich*', 'mord', 'morde', 'mordes',
+    'ermord*', 'mörder*', 'amok*', 'schüsse', 'erschoss*', 'erschieß*', 'massaker*', 'selbstmord*', 'suizid*',
+    'terror*', 'anschlag*', 'vergewaltig*', 'missbrauch*', 'geisel*', 'völkermord*', 'opfer', 'todesopfer',
+    'trauerfeier*', 'beerdigung*', 'ertrunken', 'leiche*', 'kriegsverbrech*', 'tragödie*',
+  ],
+  fr: [
+    'mort', 'morts', 'morte', 'mortes', 'mortel*', 'décès', 'décéd*', 'tué', 'tués', 'tuée*', 'tuerie*', 'meurtr*',
+    'assassin*', 'fusillade*', 'massacre*', 'suicid*', 'terroris*', 'attentat*', 'viol', 'viols', 'violé*',
+    'pédocrimin*', 'otage*', 'génocide*', 'victime*', 'funérailles', 'obsèques', 'deuil*', 'noyé*', 'cadavre*',
+    'crime de guerre', 'crimes de guerre', 'poignard*', 'féminicide*', 'tragédie*',
+  ],
+  es: [
+    'muert*', 'muere*', 'murió', 'fallec*', 'asesin*', 'homicid*', 'tiroteo*', 'masacre*', 'matanza*', 'suicid*',
+    'terroris*', 'atentado*', 'violación', 'violada*', 'abuso sexual', 'abusos sexuales', 'rehén', 'rehenes',
+    'secuestr*', 'genocidio*', 'víctima*', 'funeral*', 'luto', 'ahogad*', 'cadáver*', 'crimen de guerra',
+    'crímenes de guerra', 'apuñal*', 'feminicidio*', 'tragedia*',
+  ],
+  it: [
+    'morto', 'morti', 'morta', 'morte', 'muore', 'muoiono', 'decess*', 'ucciso', 'uccisi', 'uccisa', 'uccide*',
+    'omicid*', 'sparatori*', 'strage', 'stragi', 'massacr*', 'suicid*', 'terroris*', 'attentat*', 'stupr*',
+    'abusi sessuali', 'ostagg*', 'genocidi*', 'vittim*', 'funeral*', 'lutto', 'annegat*', 'cadaver*',
+    'crimini di guerra', 'accoltell*', 'femminicid*', 'tragedia*',
+  ],
+  pt: [
+    'morte*', 'morto*', 'morta*', 'morre*', 'morreu', 'falec*', 'assassin*', 'homicíd*', 'tiroteio*', 'massacre*',
+    'chacina*', 'suicíd*', 'terroris*', 'atentado*', 'estupro*', 'abuso sexual', 'refém', 'reféns', 'sequestr*',
+    'genocídio*', 'vítima*', 'funeral*', 'velório*', 'luto', 'afogad*', 'cadáver*', 'esfaque*', 'feminicíd*', 'tragédia*',
+  ],
+  nl: [
+    'dood', 'doden', 'dode', 'doodt', 'gedood', 'overled*', 'omgekomen', 'moord*', 'vermoord*', 'schietpartij*',
+    'bloedbad*', 'zelfmoord*', 'terreur*', 'terroris*', 'aanslag*', 'verkracht*', 'misbruik*', 'gijzel*', 'genocide*',
+    'slachtoffer*', 'begrafenis*', 'rouw*', 'verdronk*', 'verdronken', 'lijk', 'oorlogsmisdad*', 'neergestoken',
+  ],
+  no: [
+    'død', 'døde', 'dødelig*', 'drept*', 'drap*', 'omkom*', 'skyting*', 'massakre*', 'selvmord*', 'terror*',
+    'voldtekt*', 'overgrep*', 'gissel*', 'folkemord*', 'offer', 'ofre', 'ofrene', 'begravelse*', 'sorg*', 'drukn*',
+    'knivstikk*',
+  ],
+  sv: [
+    'död', 'döda', 'dödad*', 'dödlig*', 'dödsoffer', 'avled*', 'omkom*', 'mord*', 'mördad*', 'skjutning*',
+    'skottlossning*', 'massaker*', 'självmord*', 'terror*', 'våldtäkt*', 'övergrepp*', 'gisslan', 'folkmord*',
+    'offret', 'offren', 'begravning*', 'sorg*', 'drunkn*', 'knivhugg*',
+  ],
+  da: [
+    'død', 'døde', 'dødelig*', 'dræbt*', 'drab*', 'omkom*', 'skyderi*', 'massakre*', 'selvmord*', 'terror*',
+    'voldtægt*', 'overgreb*', 'gidsel*', 'gidsler', 'folkedrab*', 'offer', 'ofre', 'ofrene', 'begravelse*', 'sorg*',
+    'drukn*', 'knivstik*',
+  ],
+  fi: [
+    'kuol*', 'menehty*', 'surma*', 'surmat*', 'tapet*', 'tappo*', 'murha*', 'ampum*', 'joukkomurha*', 'itsemurh*',
+    'terror*', 'raiskau*', 'raiskat*', 'hyväksikäyt*', 'panttivan*', 'kansanmurh*', 'uhri*', 'hautajai*', 'suru*',
+    'hukku*', 'ruumi*', 'puukot*', 'tragedi*',
+  ],
+  cs: [
+    'zemř*', 'zahynul*', 'smrt', 'smrti', 'smrteln*', 'mrtv*', 'zabit*', 'zabil*', 'vražd*', 'zavražd*', 'střelb*',
+    'masakr*', 'sebevražd*', 'teror*', 'atentát*', 'znásiln*', 'pedofil*', 'rukojm*', 'genocid*', 'oběť', 'oběti',
+    'obětí', 'pohřeb', 'pohřbu', 'utonul*', 'mrtvol*', 'tragédi*',
+  ],
+  sk: [
+    'zomrel*', 'zahynul*', 'smrť', 'smrti', 'smrteľn*', 'mŕtv*', 'zabit*', 'zabil*', 'vražd*', 'zavraždi*', 'streľb*',
+    'masaker*', 'samovražd*', 'teror*', 'atentát*', 'znásiln*', 'pedofil*', 'rukojem*', 'genocíd*', 'obeť', 'obete',
+    'obetí', 'pohreb*', 'utopil*', 'mŕtvol*', 'tragédi*',
+  ],
+  hu: [
+    'meghal*', 'halál*', 'halott*', 'megöl*', 'gyilkos*', 'meggyilkol*', 'lövöldöz*', 'mészárlás*', 'öngyilkos*',
+    'terror*', 'merénylet*', 'megerőszak*', 'nemi erőszak*', 'túsz*', 'népirtás*', 'áldozat*', 'temetés*', 'gyász*',
+    'vízbe fúlt', 'holttest*', 'háborús bűn*', 'leszúr*', 'tragédi*',
+  ],
+  ro: [
+    'mort', 'morți', 'moarte', 'moartea', 'murit', 'decedat*', 'deces*', 'ucis*', 'ucide*', 'omor*', 'crimă', 'crima',
+    'asasin*', 'împușc*', 'masacr*', 'sinucid*', 'terori*', 'atentat*', 'viol', 'violat*', 'ostatic*', 'genocid*',
+    'victim*', 'funerali*', 'înmormânt*', 'doliu', 'înecat*', 'cadavr*', 'înjunghi*', 'tragedi*',
+  ],
+  bg: [
+    'загина*', 'смърт*', 'мъртъв', 'мъртви', 'почина*', 'убит*', 'убий*', 'убиец*', 'стрелб*', 'клане', 'самоубий*',
+    'терор*', 'атентат*', 'изнасил*', 'заложни*', 'геноцид*', 'жертв*', 'погребени*', 'траур*', 'удави*', 'труп*',
+    'трагеди*',
+  ],
+  el: [
+    'νεκρ*', 'θάνατ*', 'σκοτώθηκ*', 'σκότωσ*', 'πέθανε', 'δολοφον*', 'πυροβολισμ*', 'σφαγή*', 'αυτοκτον*',
+    'τρομοκρατ*', 'βιασμ*', 'ομήρ*', 'γενοκτον*', 'θύμα', 'θύματα', 'κηδεία*', 'πένθ*', 'πνίγηκ*', 'πτώμα*', 'τραγωδί*',
+  ],
+  hr: [
+    'poginu*', 'smrt*', 'mrtv*', 'umro', 'umrla', 'umrli', 'ubijen*', 'ubio', 'ubila', 'ubojst*', 'pucnjav*', 'masakr*',
+    'pokolj*', 'samoubojst*', 'teror*', 'silovan*', 'silova*', 'talac', 'talaca', 'taoc*', 'genocid*', 'žrtv*',
+    'sprovod*', 'pogreb*', 'utopi*', 'tragedij*',
+  ],
+  sl: [
+    'umrl*', 'smrt*', 'mrtv*', 'ubit*', 'ubil*', 'umor*', 'streljan*', 'pokol*', 'samomor*', 'teror*', 'posilstv*',
+    'posili*', 'talec', 'talci', 'genocid*', 'žrtev', 'žrtve', 'pogreb*', 'žalovan*', 'utonil*', 'truplo*', 'tragedij*',
+  ],
+  sr: [
+    'poginu*', 'smrt*', 'mrtv*', 'ubijen*', 'ubistv*', 'pucnjav*', 'masakr*', 'samoubistv*', 'teror*', 'silova*',
+    'taoc*', 'genocid*', 'žrtv*', 'sahran*',
+    'погину*', 'смрт*', 'мртв*', 'убијен*', 'убиств*', 'пуцњав*', 'масакр*', 'самоубиств*', 'терор*', 'силова*',
+    'таоц*', 'геноцид*', 'жртв*', 'сахран*', 'трагедиј*',
+  ],
+  uk: [
+    'загин*', 'смерт*', 'помер*', 'вбит*', 'вбив*', 'вбивств*', 'стрілянин*', 'різанин*', 'самогубств*', 'терор*',
+    'теракт*', 'зґвалт*', 'заручник*', 'геноцид*', 'жертв*', 'похорон*', 'жалоб*', 'потону*', 'втопи*', 'обстріл*',
+    'трагеді*',
+  ],
+  tr: [
+    'öldü*', 'ölü', 'ölüm*', 'öldür*', 'hayatını kaybet*', 'cinayet*', 'katliam*', 'silahlı saldırı*', 'intihar*',
+    'terör*', 'bombalı*', 'tecavüz*', 'istismar*', 'rehin*', 'soykırım*', 'cenaze*', 'yas', 'boğul*', 'ceset*', 'facia*',
+  ],
+  ja: [
+    '死亡', '死者', '死去', '殺害', '殺人', '射殺', '銃撃', '虐殺', '自殺', 'テロ', '爆破', '性的暴行', '強姦', '虐待',
+    '人質', '犠牲', '遺体', '葬儀', '溺死', '刺殺', '心中', '戦争犯罪', '惨事',
+  ],
+  ko: [
+    '사망', '숨져', '숨진', '숨졌', '살해', '살인', '총격', '학살', '자살', '테러', '폭탄', '성폭행', '성폭력', '학대', '인질',
+    '희생', '시신', '장례', '익사', '흉기', '참사',
+  ],
+  zh: [
+    '死亡', '死者', '遇难', '遇難', '遇害', '罹难', '罹難', '身亡', '丧生', '喪生', '杀害', '殺害', '谋杀', '謀殺', '枪击', '槍擊',
+    '屠杀', '屠殺', '自杀', '自殺', '恐怖袭击', '恐怖襲擊', '爆炸', '强奸', '強姦', '性侵', '虐待', '人质', '人質', '种族灭绝',
+    '種族滅絕', '尸体', '屍體', '葬礼', '葬禮', '溺亡', '溺斃', '刺死', '战争罪', '戰爭罪', '惨案', '慘案',
+  ],
+};
+const NO_WORD_BREAKS = new Set(['ja', 'ko', 'zh']);
+
+const patterns = new Map();
+function patternFor(lang) {
+  if (!patterns.has(lang)) {
+    const terms = TERMS[lang];
+    const alternatives = terms.map(term => {
+      const stem = term.endsWith('*');
+      const body = term.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+');
+      return NO_WORD_BREAKS.has(lang) ? body : `${body}${stem ? '\\p{L}*' : ''}(?![\\p{L}\\p{N}])`;
+    });
+    const start = NO_WORD_BREAKS.has(lang) ? '' : '(?<![\\p{L}\\p{N}])';
+    patterns.set(lang, new RegExp(`${start}(?:${alternatives.join('|')})`, 'u'));
+  }
+  return patterns.get(lang);
+}
+
+export const SENSITIVE_LANGS = Object.keys(TERMS);
+
+// The first sensitive term found in `text` using the lists for `langs`
+// ('zh-TW' uses the zh list), or null.
+export function findSensitiveTerm(text, langs = ['en']) {
+  // NFKC + lower case; the dot Turkish İ leaves behind would split words
+  const normalized = String(text ?? '').normalize('NFKC').toLowerCase().replace(/\u0307/g, '');
+  for (const lang of new Set(langs.filter(Boolean).map(l => String(l).split('-')[0].toLowerCase()))) {
+    if (!TERMS[lang]) continue;
+    const m = normalized.match(patternFor(lang));
+    if (m) return m[0];
+  }
+  return null;
+}
+
+export function isSensitive(text, langs) {
+  return findSensitiveTerm(text, langs) !== null;
+}
+
+function buildClassifyPrompt(titles) {
+  return `Which of these news headlines report deaths, killings, violence against people, sexual abuse, suicide, terrorism, war casualties or disasters with victims, where a light-hearted poem would be disrespectful?
+Answer only with the numbers of those headlines separated by commas, or "none".
+
+${titles.map((t, i) => `${i + 1}. ${t}`).join('\n')}`;
+}
+
+// Asks the provider chain which headlines are sensitive; resolves to a Set of
+// indexes into `titles`. Rejects when no provider answers.
+export async function modelCheck(titles, { generate }) {
+  if (!titles.length) return new Set();
+  const { text } = await generate({ prompt: buildClassifyPrompt(titles), task: 'classify', headlines: titles });
+  const flagged = new Set();
+  if (/^\s*none\b/i.test(text)) return flagged;
+  for (const [n] of String(text).matchAll(/\d+/g)) {
+    const i = Number(n) - 1;
+    if (i >= 0 && i < titles.length) flagged.add(i);
+  }
+  return flagged;
+}
+
+// Adds `sensitive: true|false` to each headline from the keyword lists for
+// its own language (`h.lang`, the source's language) and the feed language
+// `lang`. With `generate` (a provider call, see lib/providers/index.js) the
+// model may flag more; a failed check keeps the keyword tags.
+export async function tagSensitive(headlines, { lang, generate = null } = {}) {
+  const tagged = headlines.map(h => ({ ...h, sensitive: isSensitive(`${h.title}\n${h.summary || ''}`, [h.lang, lang]) }));
+  if (!generate) return tagged;
+  try {
+    const flagged = await modelCheck(tagged.map(h => h.title), { generate });
+    return tagged.map((h, i) => (flagged.has(i) ? { ...h, sensitive: true } : h));
+  } catch {
+    return tagged;
+  }
+}
@@ -0,0 +1,23 @@
+// lib/sse.js - minimal Server-Sent Events writer for Node/Vercel responses
+
+export function wantsEventStream(req) {
+  return String(req.headers?.accept || '').includes('text/event-stream')
+    || ['1', 'true'].includes(String(req.query?.stream || ''));
+}
+
+export function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      res.end();
+    },
+  };
+}
@@ -0,0 +1,92 @@
+// lib/syllables.js - heuristic syllable (and Japanese mora) counting for haiku checks
+//
+// Counts are estimates: English and Lithuanian use spelling rules, Japanese
+// counts kana morae exactly but can only guess for kanji, and other languages
+// fall back to counting vowel groups. `approximate` flags the guesses.
+
+export const HAIKU_PATTERN = [5, 7, 5];
+
+const SMALL_KANA = /[ゃゅょぁぃぅぇぉゎャュョァィゥェォヮ]/;
+const KANA = /[\u3040-\u30ff]/;
+const HAN = /\p{Script=Han}/u;
+const HANGUL = /\p{Script=Hangul}/u;
+// Average on'yomi/kun'yomi length; kanji readings are not derivable from text alone.
+const MORAE_PER_KANJI = 2;
+
+function words(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+function englishWord(word) {
+  let w = word.replace(/[^a-z]/g, '');
+  if (!w) return /\d/.test(word) ? word.replace(/\D/g, '').length : 0;
+  if (w.length <= 3) return 1;
+  w = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = w.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+// Lithuanian: ie/uo/ai/au/ei/ui are one nucleus, and an "i" before another
+// vowel only softens the consonant (kiaulė = kiau-lė).
+const LT_NUCLEUS = /(?:i(?=[aąeęėouųū]))?(?:ie|uo|ai|au|ei|ui|[aąeęėiįyouųū])/g;
+function lithuanianWord(word) {
+  const groups = word.match(LT_NUCLEUS);
+  if (groups) return groups.length;
+  return /\d/.test(word) ? word.replace(/\D/g, '').length : 0;
+}
+
+const GENERIC_VOWELS = /[aeiouyаеёиоуыэюяіїєαεηιουω]+/g;
+function genericWord(word) {
+  const plain = word.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const groups = plain.match(GENERIC_VOWELS);
+  if (groups) return groups.length;
+  return /\d/.test(word) ? word.replace(/\D/g, '').length : 0;
+}
+
+function japaneseLine(text) {
+  let count = 0;
+  let approximate = false;
+  for (const ch of String(text)) {
+    if (SMALL_KANA.test(ch)) continue;
+    if (KANA.test(ch)) count += 1; // includes ー and っ, which are morae of their own
+    else if (HAN.test(ch)) { count += MORAE_PER_KANJI; approximate = true; }
+  }
+  const latin = String(text).match(/[a-z]+/gi) || [];
+  for (const w of latin) { count += englishWord(w.toLowerCase()); approximate = true; }
+  return { count, approximate };
+}
+
+function perCharacter(text, script) {
+  let count = 0;
+  for (const ch of String(text)) if (script.test(ch)) count += 1;
+  return count;
+}
+
+export function countSyllables(text, lang = 'en') {
+  const base = String(lang).split('-')[0].toLowerCase();
+  if (base === 'ja') return japaneseLine(text);
+  if (base === 'zh') return { count: perCharacter(text, HAN), approximate: false };
+  if (base === 'ko') return { count: perCharacter(text, HANGUL), approximate: false };
+  const counter = base === 'en' ? englishWord : base === 'lt' ? lithuanianWord : genericWord;
+  const count = words(text).reduce((n, w) => n + counter(w), 0);
+  return { count, approximate: base !== 'en' && base !== 'lt' };
+}
+
+// `off` is the total absolute distance from the pattern, with a missing or
+// extra line costing its full expected length. A null pattern (free form)
+// only reports counts and is never strict.
+export function scoreHaiku(lines, lang = 'en', pattern = HAIKU_PATTERN) {
+  const counted = lines.map(l => countSyllables(l, lang));
+  const counts = counted.map(c => c.count);
+  let off = 0;
+  for (let i = 0; pattern && i < Math.max(pattern.length, counts.length); i++) {
+    off += Math.abs((counts[i] ?? 0) - (pattern[i] ?? 0));
+  }
+  return {
+    counts,
+    pattern,
+    off,
+    strict: !!pattern && off === 0,
+    approximate: counted.some(c => c.approximate),
+  };
+}
@@ -0,0 +1,10 @@
+// lib/urls.js - absolute URLs for links that leave the site (feeds, share cards)
+
+// PUBLIC_BASE_URL wins; otherwise the host the request came in on, honouring
+// the proxy headers Vercel sets.
+export function publicBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  const proto = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+  const host = req.headers['x-forwarded-host'] || req.headers.host || 'localhost';
+  return `${proto}://${host}`;
+}
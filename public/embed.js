@@ -0,0 +1,213 @@
+// embed.js — "today's news haiku" for other sites: a <news-haiku> element with
+// its own Shadow DOM, fed by /api/news and /api/haiku on the site it came from.
+//
+//   <script src="https://inhaiku.lt/embed.js" data-country="LT" data-category="science" async></script>
+//
+// A script tag with data-* attributes mounts a card right after itself; a bare
+// one only registers <news-haiku country="LT" theme="dark" refresh="30">.
+// /embed (embed.html) is the iframe version, configured by its query string.
+(() => {
+  const script = document.currentScript;
+  const ATTRS = ['country', 'category', 'lang', 'theme', 'refresh', 'style', 'form', 'sensitive'];
+  const DEFAULT_REFRESH_MIN = 30;
+  const MIN_REFRESH_MIN = 5;
+  const FONT_URL = 'https://fonts.googleapis.com/css2?family=VT323&display=swap';
+  const ORIGIN = script && script.src ? new URL(script.src).origin : location.origin;
+
+  const STYLES = `
+    :host {
+      all: initial;
+      display: block;
+      max-width: 360px;
+      --screen: #b9e88c;
+      --ink: #10390b;
+      --frame: #3a5338;
+      --scan: rgba(16, 57, 11, 0.06);
+    }
+    :host([hidden]) { display: none; }
+    :host([theme="dark"]) { --screen: #1e2f23; --ink: #d7f0d1; --frame: #5a7a5a; --scan: rgba(215, 240, 209, 0.04); }
+    @media (prefers-color-scheme: dark) {
+      :host(:not([theme="light"])) { --screen: #1e2f23; --ink: #d7f0d1; --frame: #5a7a5a; --scan: rgba(215, 240, 209, 0.04); }
+    }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    .card {
+      background: var(--screen) repeating-linear-gradient(0deg, var(--scan) 0 1px, transparent 1px 3px);
+      color: var(--ink);
+      border: 4px solid var(--frame);
+      border-radius: 10px;
+      padding: 10px 12px;
+      font: 18px/1.25 'VT323', ui-monospace, monospace;
+      -webkit-font-smoothing: antialiased;
+    }
+    .bar, .foot { display: flex; justify-content: space-between; gap: 8px; font-size: 14px; opacity: 0.85; }
+    .bar { border-bottom: 1px dashed currentColor; padding-bottom: 4px; margin-bottom: 8px; }
+    a { color: inherit; }
+    .headline { display: block; font-size: 15px; text-decoration: none; margin-bottom: 8px; }
+    .headline[href]:hover { text-decoration: underline; }
+    .poem { font-size: 20px; min-height: 3.75em; white-space: pre-wrap; }
+    .poem.loading::after { content: '▌'; animation: blink 1s steps(1) infinite; }
+    .foot { border-top: 1px dashed currentColor; padding-top: 4px; margin-top: 8px; }
+    .source { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    @keyframes blink { 50% { opacity: 0; } }
+    @media (prefers-reduced-motion: reduce) { .poem.loading::after { animation: none; } }
+  `;
+
+  // @font-face rules are ignored inside shadow roots, so the font is loaded once on the page.
+  function loadFont() {
+    if (document.querySelector(`link[href="${FONT_URL}"]`)) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = FONT_URL;
+    document.head.appendChild(link);
+  }
+
+  function httpUrl(value) {
+    try {
+      const u = new URL(value);
+      return u.protocol === 'http:' || u.protocol === 'https:' ? u.toString() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  class NewsHaiku extends HTMLElement {
+    static get observedAttributes() {
+      return [...ATTRS, 'api'];
+    }
+
+    constructor() {
+      super();
+      const root = this.attachShadow({ mode: 'open' });
+      root.innerHTML = `<style>${STYLES}</style>
+        <div class="card" part="card">
+          <div class="bar"><span>▂▄▆ NEWS HAIKU</span><span class="clock"></span></div>
+          <a class="headline" target="_blank" rel="noopener"></a>
+          <div class="poem loading" role="status" aria-live="polite"></div>
+          <div class="foot"><span class="source"></span><a class="home" target="_blank" rel="noopener"></a></div>
+        </div>`;
+      this.$ = sel => root.querySelector(sel);
+      this.shown = new Set();
+      this.loadedAt = 0;
+      this.onVisibility = () => {
+        if (!document.hidden && Date.now() - this.loadedAt >= this.refreshMs) this.load();
+      };
+    }
+
+    get base() {
+      return (this.getAttribute('api') || ORIGIN).replace(/\/+$/, '');
+    }
+
+    get refreshMs() {
+      const minutes = Number(this.getAttribute('refresh')) || DEFAULT_REFRESH_MIN;
+      return Math.max(MIN_REFRESH_MIN, minutes) * 60 * 1000;
+    }
+
+    connectedCallback() {
+      loadFont();
+      document.addEventListener('visibilitychange', this.onVisibility);
+      this.schedule();
+      this.load();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('visibilitychange', this.onVisibility);
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (!this.isConnected || oldValue === value || name === 'theme') return;
+      if (name === 'refresh') return this.schedule();
+      this.shown.clear();
+      this.load();
+    }
+
+    schedule() {
+      clearInterval(this.timer);
+      // Hidden tabs skip their turn; onVisibility catches up when they come back.
+      this.timer = setInterval(() => {
+        if (!document.hidden) this.load();
+      }, this.refreshMs);
+    }
+
+    // Next headline not shown yet in this card; starts over once all have been.
+    // sensitive="skip" leaves out headlines /api/news tags as sensitive.
+    pick(all) {
+      const headlines = this.getAttribute('sensitive') === 'skip' ? all.filter(h => !h.sensitive) : all;
+      let fresh = headlines.filter(h => h.title && !this.shown.has(h.title));
+      if (!fresh.length) {
+        this.shown.clear();
+        fresh = headlines.filter(h => h.title);
+      }
+      const item = fresh[0];
+      if (item) this.shown.add(item.title);
+      return item;
+    }
+
+    async load() {
+      const run = (this.run || 0) + 1;
+      this.run = run;
+      this.loadedAt = Date.now();
+      const country = this.getAttribute('country') || 'US';
+      const category = this.getAttribute('category') || 'general';
+      this.$('.poem').classList.add('loading');
+      try {
+        const query = new URLSearchParams({ country, category });
+        const news = await fetch(`${this.base}/api/news?${query}`).then(r => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))));
+        const item = this.pick(news.headlines || []);
+        if (!item) throw new Error('No headlines');
+        const body = { headline: item.title, lang: this.getAttribute('lang') || news.lang || 'auto' };
+        if (item.summary) body.summary = item.summary;
+        // Sad news gets an elegy unless the host page asks for sensitive="keep".
+        if (item.sensitive) body.sensitive = true;
+        body.headlineLang = item.lang || news.lang || 'en';
+        body.onSensitive = this.getAttribute('sensitive') === 'keep' ? 'keep' : 'elegy';
+        for (const name of ['style', 'form']) if (this.getAttribute(name)) body[name] = this.getAttribute(name);
+        const r = await fetch(`${this.base}/api/haiku`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        const data = await r.json();
+        if (!r.ok || !data.haiku) throw new Error(data.error || `HTTP ${r.status}`);
+        if (run === this.run) this.render(item, data, { country: news.country || country, category: news.category || category });
+      } catch {
+        // Keep the last poem on screen; only an empty card says so.
+        if (run !== this.run) return;
+        if (!this.$('.poem').textContent) this.$('.poem').textContent = 'No signal.\nThe news will be back\nat the next refresh.';
+      } finally {
+        if (run === this.run) this.$('.poem').classList.remove('loading');
+      }
+    }
+
+    render(item, data, { country, category }) {
+      const headline = this.$('.headline');
+      headline.textContent = item.title;
+      const url = httpUrl(item.url);
+      if (url) headline.href = url;
+      else headline.removeAttribute('href');
+      const poem = this.$('.poem');
+      poem.textContent = String(data.haiku).trim();
+      poem.lang = data.lang || '';
+      this.$('.source').textContent = item.source || '';
+      this.$('.clock').textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const home = this.$('.home');
+      home.textContent = new URL(this.base).hostname;
+      home.href = `${this.base}/?${new URLSearchParams({ country, category })}`;
+    }
+  }
+
+  if (!customElements.get('news-haiku')) customElements.define('news-haiku', NewsHaiku);
+
+  // <script data-country=… data-query> : mount after the script tag; data-query
+  // lets the page's own query string (the /embed iframe) override the data-*.
+  if (script && Object.keys(script.dataset).length) {
+    const params = 'query' in script.dataset ? new URLSearchParams(location.search) : null;
+    const card = document.createElement('news-haiku');
+    for (const name of ATTRS) {
+      const value = (params && params.get(name)) || script.dataset[name];
+      if (value) card.setAttribute(name, value);
+    }
+    script.after(card);
+  }
+})();
@@ -0,0 +1,94 @@
+// i18n.js — message catalogs, plural rules and locale-aware formatting
+// Catalogs register themselves with i18n.addCatalog() (see js/locales/);
+// main.js picks the locale. Messages use {name} placeholders; a message
+// given as { one, few, many, other } is chosen by Intl.PluralRules on {count}.
+(() => {
+  const FALLBACK = 'en';
+  const catalogs = {};
+  let locale = FALLBACK;
+
+  function lookup(key) {
+    return key.split('.').reduce((node, part) => node?.[part], catalogs[locale])
+      ?? key.split('.').reduce((node, part) => node?.[part], catalogs[FALLBACK]);
+  }
+
+  function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] ?? m));
+  }
+
+  function t(key, params = {}) {
+    let msg = lookup(key);
+    if (msg == null) {
+      console.warn(`i18n: missing message "${key}"`);
+      return key;
+    }
+    if (typeof msg === 'object') {
+      const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+      msg = msg[category] ?? msg.other;
+    }
+    return interpolate(String(msg), params);
+  }
+
+  // Best supported locale for a BCP 47 tag such as navigator.language
+  function match(tag) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    return catalogs[base] ? base : FALLBACK;
+  }
+
+  function setLocale(next) {
+    locale = catalogs[next] ? next : FALLBACK;
+    document.documentElement.lang = locale;
+    return locale;
+  }
+
+  // Fills elements marked data-i18n="key" (text) and
+  // data-i18n-attr="attr:key;attr:key" (attributes) under root.
+  function translateDom(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      el.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attr, key] = pair.split(':').map(s => s.trim());
+        if (attr && key) el.setAttribute(attr, t(key));
+      });
+    });
+  }
+
+  function formatDate(value, options = { dateStyle: 'medium' }) {
+    const d = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(d.getTime()) ? '' : new Intl.DateTimeFormat(locale, options).format(d);
+  }
+
+  function formatDateTime(value) {
+    return formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // Compact relative age: "just now", "12 min. ago", "prieš 2 val."
+  function timeAgo(value) {
+    const ms = Date.parse(value);
+    if (!Number.isFinite(ms)) return '';
+    const mins = Math.max(0, Math.round((Date.now() - ms) / 60000));
+    if (mins < 1) return t('time.justNow');
+    const rtf = new Intl.RelativeTimeFormat(locale, { numeric: 'always', style: 'short' });
+    if (mins < 60) return rtf.format(-mins, 'minute');
+    const hours = Math.round(mins / 60);
+    if (hours < 24) return rtf.format(-hours, 'hour');
+    return rtf.format(-Math.round(hours / 24), 'day');
+  }
+
+  // Localised country/language names, falling back to the given English name
+  function displayName(type, code, fallback) {
+    try {
+      return new Intl.DisplayNames([locale], { type }).of(code) || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  window.i18n = {
+    addCatalog(code, messages) { catalogs[code] = messages; },
+    get locale() { return locale; },
+    get locales() { return Object.keys(catalogs); },
+    catalogName(code) { return catalogs[code]?.name || code; },
+    t, match, setLocale, translateDom, formatDate, formatDateTime, timeAgo, displayName,
+  };
+})();
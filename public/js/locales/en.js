@@ -0,0 +1,189 @@
+// English catalog (fallback for missing keys in other catalogs)
+i18n.addCatalog('en', {
+  name: 'English',
+  meta: {
+    title: 'inhaiku.lt — generate Haikus from today\'s headlines',
+    description: 'Turn top headlines into tiny poems. Choose country, category, and haiku language.',
+  },
+  brand: 'NEWS HAIKU',
+  noscript: 'This app needs JavaScript. Please enable it in your browser.',
+  controls: {
+    country: 'Country',
+    haikuLang: 'Haiku language',
+    style: 'Style',
+    form: 'Form',
+    uiLang: 'Interface',
+    readerLang: 'Translate for',
+    sensitive: 'Sad news',
+    categories: 'Categories',
+    headlines: 'Headlines',
+  },
+  lang: { auto: 'Auto (by country)', off: 'No translation' },
+  sensitive: { elegy: 'Respectful elegy', skip: 'Skip them', keep: 'Write as usual' },
+  cat: {
+    general: 'General', business: 'Business', entertainment: 'Entertainment', health: 'Health',
+    science: 'Science', sports: 'Sports', technology: 'Technology',
+  },
+  style: {
+    classic: 'Classic', senryu: 'Senryu / satirical', melancholic: 'Melancholic',
+    absurd: 'Absurd', kigo: 'Seasonal (kigo)', children: 'Children-friendly', elegy: 'Elegy',
+  },
+  form: { haiku: 'Haiku 5-7-5', tanka: 'Tanka 5-7-5-7-7', micro: 'Micro (2 lines)' },
+  buttons: {
+    generate: '🌺 Generate',
+    theme: '🌓 Theme',
+    favorites: '⭐ Favorites',
+    history: '📚 History',
+    copy: '📋 Copy',
+    share: '🐦 Share',
+    shareFacebook: '📘 Share',
+    favorite: '🤍 Favorite',
+    favorited: '💛 Favorited',
+    author: 'Author',
+    prev: '◀ Prev',
+    list: '☰ List',
+    select: '✔ Select',
+    next: 'Next ▶',
+    prevLabel: 'Previous headline',
+    listLabel: 'Choose a headline',
+    nextLabel: 'Next headline',
+    close: 'Close',
+    readAloud: '🔈 Read',
+    stopReading: '⏹ Stop',
+    sound: '🎚 Sound',
+    custom: '✏️ Your own',
+  },
+  intro: {
+    headline: 'Tap Generate...',
+    haiku: '...and turn a headline\ninto a 3-line poem',
+  },
+  indicator: {
+    source: 'Source',
+    country: 'Country',
+    category: 'Category',
+    haiku: 'Haiku',
+    auto: '{lang} (auto)',
+    offline: 'OFFLINE',
+    offlineHint: 'No connection: poems come from history, new ones are queued',
+    sensitive: 'SENSITIVE',
+    sensitiveHint: 'This headline reports deaths, violence or a tragedy',
+  },
+  syllables: {
+    of: { one: '{got} of {count} syllable', other: '{got} of {count} syllables' },
+    count: { one: '{count} syllable', other: '{count} syllables' },
+  },
+  toast: {
+    category: 'Category: {name}',
+    country: 'Country: {name}',
+    haikuLang: 'Haiku language: {name}',
+    haikuLangAuto: 'Haiku language: Auto',
+    style: 'Style: {name}',
+    form: 'Form: {name}',
+    uiLang: 'Interface: {name}',
+    readerLang: 'Translation: {name}',
+    readerLangOff: 'Translation: off',
+    sensitive: 'Sad news: {name}',
+    allSensitive: 'Every headline here is sad news, so all are skipped',
+    soundOn: 'Sound: on',
+    soundOff: 'Sound: off',
+    copied: 'Copied!',
+    newsFailed: 'Could not fetch news.',
+    allUsed: 'All headlines used. Starting over.',
+    noHeadlines: 'No headlines right now',
+    slowDown: 'Slow down! Try again in {seconds}s.',
+    haikuFailed: 'Oops! Haiku failed.',
+    offlineFromHistory: 'Offline: poem from history',
+    offlineQueued: 'Offline: haiku queued',
+    queuedReady: { one: 'Queued haiku is ready (see History)', other: '{count} queued haiku are ready (see History)' },
+    backOnline: 'Back online',
+    addedFavorite: 'Added to favorites',
+    removedFavorite: 'Removed from favorites',
+    addedFavorites: { one: 'Added {count} to favorites', other: 'Added {count} to favorites' },
+    removed: { one: 'Removed {count} entry', other: 'Removed {count} entries' },
+    historyCap: { one: 'Keeping {count} in history', other: 'Keeping {count} in history' },
+    nothingToExport: 'Nothing to export',
+    importNotJson: 'Import failed: not a JSON file',
+    importNotExport: 'Import failed: not an inhaiku.lt export',
+    importNewer: 'Import failed: exported by a newer version',
+    imported: { one: 'Imported {count} new entry', other: 'Imported {count} new entries' },
+    importSkipped: { one: ', skipped {count} invalid', other: ', skipped {count} invalid' },
+    imageFailed: 'Image export failed',
+    nothingToRead: 'Generate a haiku first',
+    customEmpty: 'Type a headline or paste a link',
+    articleFailed: 'Could not read that page',
+    noVoice: 'No {lang} voice here: playing a chiptune',
+    readFailed: 'Read aloud failed',
+    wavFailed: 'WAV export failed',
+  },
+  screen: {
+    noHeadlines: 'No headlines right now. Try again.',
+    haikuFailed: 'Could not generate haiku.',
+    queued: 'Offline. This haiku is queued\nand will be written when you are back online.',
+  },
+  lists: {
+    historyTitle: 'Haiku History',
+    favoritesTitle: 'Favorites',
+    historyLabel: 'Haiku history',
+    favoritesLabel: 'Favorite haiku',
+    historyEmpty: 'History is empty.',
+    favoritesEmpty: 'Nothing here yet.',
+    noMatches: 'No matches.',
+    search: 'Search headlines and poems',
+    sortLabel: 'Sort',
+    newest: 'Newest first',
+    oldest: 'Oldest first',
+    bySource: 'By source',
+    selectAll: 'Select all',
+    select: 'Select',
+    selected: { one: '{count} selected', other: '{count} selected' },
+    bulkFavorite: '⭐ Favorite selected',
+    bulkRemove: '🗑 Remove selected',
+    confirmRemove: { one: 'Remove {count} entry?', other: 'Remove {count} entries?' },
+    keep: 'Keep',
+    keepHint: 'recent entries; older ones move to the on-device archive.',
+    archived: 'archived',
+    sensitive: 'sensitive',
+    open: 'Open',
+    copy: 'Copy',
+    image: 'Image',
+    favorite: 'Favorite',
+    remove: 'Remove',
+    exportJson: '⬇ JSON',
+    exportMarkdown: '⬇ Markdown',
+    exportChapbook: '⬇ Chapbook',
+    import: '⬆ Import',
+  },
+  custom: {
+    title: 'Your own headline',
+    label: 'Type a headline or paste an article link',
+    placeholder: 'Lighthouse keeper retires after 40 years, or https://…',
+    submit: '🌺 Haiku-ify',
+    hint: 'Links are opened on our server to read the page title, description and site name.',
+    source: 'You',
+  },
+  gloss: {
+    show: '🌐 Show translation ({lang})',
+    hide: '🌐 Hide translation',
+  },
+  sound: {
+    title: 'Sound',
+    label: 'Sound settings',
+    keyClicks: 'Key clicks while typing',
+    volume: 'Volume',
+    readMode: 'Read aloud with',
+    modeSpeech: 'Speech voice (chiptune if none)',
+    modeChiptune: 'Chiptune only',
+    rate: 'Reading speed',
+    pause: 'Pause between lines',
+    ms: '{value} ms',
+    test: '▶ Read current poem',
+    exportWav: '⬇ Save as WAV',
+    wavHint: 'Browsers cannot record speech voices, so the WAV file holds the chiptune recitation.',
+  },
+  facet: { country: 'Country', category: 'Category', haikuLang: 'Language', source: 'Source' },
+  export: {
+    poems: { one: '{count} poem', other: '{count} poems' },
+    exported: 'exported {date}',
+  },
+  time: { justNow: 'just now' },
+});
@@ -0,0 +1,229 @@
+// Lithuanian catalog
+i18n.addCatalog('lt', {
+  name: 'Lietuvių',
+  meta: {
+    title: 'inhaiku.lt — haiku iš šiandienos antraščių',
+    description: 'Naujienų antraštės virsta mažyčiais eilėraščiais. Pasirinkite šalį, kategoriją ir haiku kalbą.',
+  },
+  brand: 'NEWS HAIKU',
+  noscript: 'Šiai programėlei reikia JavaScript. Įjunkite jį naršyklėje.',
+  controls: {
+    country: 'Šalis',
+    haikuLang: 'Haiku kalba',
+    style: 'Stilius',
+    form: 'Forma',
+    uiLang: 'Sąsaja',
+    readerLang: 'Versti į',
+    sensitive: 'Liūdnos žinios',
+    categories: 'Kategorijos',
+    headlines: 'Antraštės',
+  },
+  lang: { auto: 'Automatiškai (pagal šalį)', off: 'Neversti' },
+  sensitive: { elegy: 'Pagarbi elegija', skip: 'Praleisti', keep: 'Rašyti įprastai' },
+  cat: {
+    general: 'Bendra', business: 'Verslas', entertainment: 'Pramogos', health: 'Sveikata',
+    science: 'Mokslas', sports: 'Sportas', technology: 'Technologijos',
+  },
+  style: {
+    classic: 'Klasikinis', senryu: 'Senriu / satyrinis', melancholic: 'Melancholiškas',
+    absurd: 'Absurdiškas', kigo: 'Sezoninis (kigo)', children: 'Vaikams', elegy: 'Elegija',
+  },
+  form: { haiku: 'Haiku 5-7-5', tanka: 'Tanka 5-7-5-7-7', micro: 'Mikro (2 eilutės)' },
+  buttons: {
+    generate: '🌺 Kurti',
+    theme: '🌓 Tema',
+    favorites: '⭐ Mėgstami',
+    history: '📚 Istorija',
+    copy: '📋 Kopijuoti',
+    share: '🐦 Dalintis',
+    shareFacebook: '📘 Dalintis',
+    favorite: '🤍 Įsiminti',
+    favorited: '💛 Įsiminta',
+    author: 'Autorius',
+    prev: '◀ Atgal',
+    list: '☰ Sąrašas',
+    select: '✔ Rinktis',
+    next: 'Kita ▶',
+    prevLabel: 'Ankstesnė antraštė',
+    listLabel: 'Pasirinkti antraštę',
+    nextLabel: 'Kita antraštė',
+    close: 'Uždaryti',
+    readAloud: '🔈 Skaityti',
+    stopReading: '⏹ Stabdyti',
+    sound: '🎚 Garsas',
+    custom: '✏️ Savo',
+  },
+  intro: {
+    headline: 'Spauskite „Kurti“...',
+    haiku: '...ir antraštė virs\ntrijų eilučių eilėraščiu',
+  },
+  indicator: {
+    source: 'Šaltinis',
+    country: 'Šalis',
+    category: 'Kategorija',
+    haiku: 'Haiku',
+    auto: '{lang} (auto)',
+    offline: 'BE RYŠIO',
+    offlineHint: 'Nėra ryšio: eilėraščiai rodomi iš istorijos, nauji laukia eilėje',
+    sensitive: 'JAUTRI',
+    sensitiveHint: 'Ši antraštė praneša apie žūtis, smurtą ar tragediją',
+  },
+  syllables: {
+    of: { one: '{got} iš {count} skiemens', few: '{got} iš {count} skiemenų', many: '{got} iš {count} skiemens', other: '{got} iš {count} skiemenų' },
+    count: { one: '{count} skiemuo', few: '{count} skiemenys', many: '{count} skiemens', other: '{count} skiemenų' },
+  },
+  toast: {
+    category: 'Kategorija: {name}',
+    country: 'Šalis: {name}',
+    haikuLang: 'Haiku kalba: {name}',
+    haikuLangAuto: 'Haiku kalba: automatiškai',
+    style: 'Stilius: {name}',
+    form: 'Forma: {name}',
+    uiLang: 'Sąsaja: {name}',
+    readerLang: 'Vertimas: {name}',
+    readerLangOff: 'Vertimas: išjungtas',
+    sensitive: 'Liūdnos žinios: {name}',
+    allSensitive: 'Visos čia esančios antraštės – liūdnos žinios, todėl praleidžiamos',
+    soundOn: 'Garsas: įjungtas',
+    soundOff: 'Garsas: išjungtas',
+    copied: 'Nukopijuota!',
+    newsFailed: 'Nepavyko gauti naujienų.',
+    allUsed: 'Visos antraštės panaudotos. Pradedame iš naujo.',
+    noHeadlines: 'Šiuo metu antraščių nėra',
+    slowDown: 'Lėčiau! Bandykite po {seconds} s.',
+    haikuFailed: 'Oi! Haiku nepavyko.',
+    offlineFromHistory: 'Be ryšio: eilėraštis iš istorijos',
+    offlineQueued: 'Be ryšio: haiku laukia eilėje',
+    queuedReady: {
+      one: '{count} haiku iš eilės paruoštas (žr. Istoriją)',
+      few: '{count} haiku iš eilės paruošti (žr. Istoriją)',
+      many: '{count} haiku iš eilės paruošta (žr. Istoriją)',
+      other: '{count} haiku iš eilės paruošta (žr. Istoriją)',
+    },
+    backOnline: 'Ryšys grįžo',
+    addedFavorite: 'Įtraukta į mėgstamus',
+    removedFavorite: 'Pašalinta iš mėgstamų',
+    addedFavorites: {
+      one: 'Į mėgstamus įtrauktas {count} įrašas',
+      few: 'Į mėgstamus įtraukti {count} įrašai',
+      many: 'Į mėgstamus įtraukta {count} įrašo',
+      other: 'Į mėgstamus įtraukta {count} įrašų',
+    },
+    removed: {
+      one: 'Pašalintas {count} įrašas',
+      few: 'Pašalinti {count} įrašai',
+      many: 'Pašalinta {count} įrašo',
+      other: 'Pašalinta {count} įrašų',
+    },
+    historyCap: {
+      one: 'Istorijoje laikomas {count} įrašas',
+      few: 'Istorijoje laikomi {count} įrašai',
+      many: 'Istorijoje laikoma {count} įrašo',
+      other: 'Istorijoje laikoma {count} įrašų',
+    },
+    nothingToExport: 'Nėra ką eksportuoti',
+    importNotJson: 'Importuoti nepavyko: tai ne JSON failas',
+    importNotExport: 'Importuoti nepavyko: tai ne inhaiku.lt eksportas',
+    importNewer: 'Importuoti nepavyko: eksportuota naujesnės versijos',
+    imported: {
+      one: 'Importuotas {count} naujas įrašas',
+      few: 'Importuoti {count} nauji įrašai',
+      many: 'Importuota {count} naujo įrašo',
+      other: 'Importuota {count} naujų įrašų',
+    },
+    importSkipped: {
+      one: ', praleistas {count} netinkamas',
+      few: ', praleisti {count} netinkami',
+      many: ', praleista {count} netinkamo',
+      other: ', praleista {count} netinkamų',
+    },
+    imageFailed: 'Nepavyko sukurti paveikslėlio',
+    nothingToRead: 'Pirmiausia sukurkite haiku',
+    customEmpty: 'Įrašykite antraštę arba įklijuokite nuorodą',
+    articleFailed: 'Nepavyko perskaityti šio puslapio',
+    noVoice: 'Nėra balso kalbai „{lang}“: grojama melodija',
+    readFailed: 'Nepavyko perskaityti',
+    wavFailed: 'Nepavyko išsaugoti WAV',
+  },
+  screen: {
+    noHeadlines: 'Šiuo metu antraščių nėra. Bandykite dar kartą.',
+    haikuFailed: 'Nepavyko sukurti haiku.',
+    queued: 'Nėra ryšio. Šis haiku laukia eilėje\nir bus parašytas, kai ryšys grįš.',
+  },
+  lists: {
+    historyTitle: 'Haiku istorija',
+    favoritesTitle: 'Mėgstami',
+    historyLabel: 'Haiku istorija',
+    favoritesLabel: 'Mėgstami haiku',
+    historyEmpty: 'Istorija tuščia.',
+    favoritesEmpty: 'Kol kas nieko nėra.',
+    noMatches: 'Nieko nerasta.',
+    search: 'Ieškoti antraštėse ir eilėraščiuose',
+    sortLabel: 'Rikiuoti',
+    newest: 'Naujausi pirmi',
+    oldest: 'Seniausi pirmi',
+    bySource: 'Pagal šaltinį',
+    selectAll: 'Pažymėti visus',
+    select: 'Pažymėti',
+    selected: {
+      one: 'Pažymėtas {count}',
+      few: 'Pažymėti {count}',
+      many: 'Pažymėta {count}',
+      other: 'Pažymėta {count}',
+    },
+    bulkFavorite: '⭐ Įsiminti pažymėtus',
+    bulkRemove: '🗑 Pašalinti pažymėtus',
+    confirmRemove: {
+      one: 'Pašalinti {count} įrašą?',
+      few: 'Pašalinti {count} įrašus?',
+      many: 'Pašalinti {count} įrašo?',
+      other: 'Pašalinti {count} įrašų?',
+    },
+    keep: 'Laikyti',
+    keepHint: 'naujausių įrašų; senesni perkeliami į archyvą įrenginyje.',
+    archived: 'archyve',
+    sensitive: 'jautri',
+    open: 'Atidaryti',
+    copy: 'Kopijuoti',
+    image: 'Paveikslėlis',
+    favorite: 'Įsiminti',
+    remove: 'Pašalinti',
+    exportJson: '⬇ JSON',
+    exportMarkdown: '⬇ Markdown',
+    exportChapbook: '⬇ Rinkinėlis',
+    import: '⬆ Importuoti',
+  },
+  custom: {
+    title: 'Savo antraštė',
+    label: 'Įrašykite antraštę arba įklijuokite straipsnio nuorodą',
+    placeholder: 'Švyturio prižiūrėtojas išeina į pensiją po 40 metų arba https://…',
+    submit: '🌺 Paversti haiku',
+    hint: 'Nuorodas atidaro mūsų serveris, kad perskaitytų puslapio pavadinimą, aprašymą ir svetainės vardą.',
+    source: 'Jūs',
+  },
+  gloss: {
+    show: '🌐 Rodyti vertimą ({lang})',
+    hide: '🌐 Slėpti vertimą',
+  },
+  sound: {
+    title: 'Garsas',
+    label: 'Garso nustatymai',
+    keyClicks: 'Klavišų spragsėjimas rašant',
+    volume: 'Garsumas',
+    readMode: 'Skaityti balsu',
+    modeSpeech: 'Kalbos sintezė (jei nėra – melodija)',
+    modeChiptune: 'Tik 8 bitų melodija',
+    rate: 'Skaitymo greitis',
+    pause: 'Pauzė tarp eilučių',
+    ms: '{value} ms',
+    test: '▶ Skaityti eilėraštį',
+    exportWav: '⬇ Išsaugoti WAV',
+    wavHint: 'Naršyklės negali įrašyti kalbos sintezės, todėl WAV faile – melodijos versija.',
+  },
+  facet: { country: 'Šalis', category: 'Kategorija', haikuLang: 'Kalba', source: 'Šaltinis' },
+  export: {
+    poems: { one: '{count} eilėraštis', few: '{count} eilėraščiai', many: '{count} eilėraščio', other: '{count} eilėraščių' },
+    exported: 'eksportuota {date}',
+  },
+  time: { justNow: 'ką tik' },
+});
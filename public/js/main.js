@@ -1,13 +1,15 @@
-// main.js — English UI, country + category, haiku language selection
+// main.js — localised UI (see i18n.js), country + category, haiku language selection
 (() => {
   const $ = (s, el = document) => el.querySelector(s);
   const $$ = (s, el = document) => [...el.querySelectorAll(s)];
+  const { t } = i18n;
 
   const els = {
     clock: $('#clock'),
     date: $('#date'),
     indicator: $('#source-indicator'),
     headline: $('#headline'),
+    headlineMeta: $('#headlineMeta'),
     haiku: $('#haiku'),
     historyModal: $('#historyContainer'),
     favoritesModal: $('#favoritesContainer'),
@@ -17,9 +19,30 @@
     categoryRow: $('#categoryRow'),
     countrySelect: $('#countrySelect'),
     langSelect: $('#langSelect'),
+    styleSelect: $('#styleSelect'),
+    formSelect: $('#formSelect'),
+    uiLangSelect: $('#uiLangSelect'),
+    readerLangSelect: $('#readerLangSelect'),
+    sensitiveSelect: $('#sensitiveSelect'),
+    gloss: $('#gloss'),
+    content: $('.content'),
+    headlineMenu: $('#headlineMenu'),
+    menuKey: document.querySelector('[data-action="headline-menu"]'),
+    historyCapSelect: $('#historyCapSelect'),
+    soundModal: $('#soundContainer'),
+    customModal: $('#customContainer'),
+    customForm: $('.custom-form'),
+    customInput: $('#customInput'),
+    readButton: document.querySelector('.read-button'),
+    keyClicks: $('#keyClicks'),
+    volumeRange: $('#volumeRange'),
+    readModeSelect: $('#readModeSelect'),
+    rateRange: $('#rateRange'),
+    pauseRange: $('#pauseRange'),
   };
 
-  // Countries (code, name, default language)
+  // Countries (code, English name, default language); names shown in the UI
+  // come from Intl.DisplayNames where the browser has them
   const COUNTRIES = [
     ['US','United States','en'], ['GB','United Kingdom','en'], ['IE','Ireland','en'],
     ['CA','Canada','en'], ['AU','Australia','en'], ['NZ','New Zealand','en'],
@@ -34,9 +57,8 @@
     ['IN','India','en'], ['ZA','South Africa','en']
   ];
 
-  // Languages for haiku override (code → display)
+  // Languages for haiku override (code → English name, see countryName)
   const LANGS = [
-    ['auto','Auto (by country)'],
     ['en','English'], ['lt','Lithuanian'], ['lv','Latvian'], ['et','Estonian'],
     ['pl','Polish'], ['de','German'], ['fr','French'], ['es','Spanish'], ['it','Italian'], ['pt','Portuguese'], ['nl','Dutch'],
     ['no','Norwegian'], ['sv','Swedish'], ['da','Danish'], ['fi','Finnish'],
@@ -46,15 +68,18 @@
     ['ja','Japanese'], ['ko','Korean'], ['zh-CN','Chinese (Simpl.)'], ['zh-TW','Chinese (Trad.)'], ['zh-HK','Chinese (HK)']
   ];
 
-  const CATS = [
-    { val: 'general', label: 'General' },
-    { val: 'business', label: 'Business' },
-    { val: 'entertainment', label: 'Entertainment' },
-    { val: 'health', label: 'Health' },
-    { val: 'science', label: 'Science' },
-    { val: 'sports', label: 'Sports' },
-    { val: 'technology', label: 'Technology' },
-  ];
+  // Poem presets (must match lib/forms.js on the server)
+  // Labels live in the catalogs under style.*, form.* and cat.*
+  const STYLES = ['classic', 'senryu', 'melancholic', 'absurd', 'kigo', 'children', 'elegy'];
+  // What to do with headlines /api/news or /api/haiku tag as sensitive
+  const SENSITIVE_MODES = ['elegy', 'skip', 'keep'];
+  const FORMS = ['haiku', 'tanka', 'micro'];
+  const CATS = ['general', 'business', 'entertainment', 'health', 'science', 'sports', 'technology'];
+
+  const DEFAULT_HISTORY_CAP = 80;
+  const HISTORY_CAPS = [20, 50, 80, 200, 500];
+  const MAX_FAVORITES = 150;
+  const MAX_QUEUE = 20;
 
   const store = {
     get(k, d) { try { return JSON.parse(localStorage.getItem(k)) ?? d; } catch { return d; } },
@@ -71,32 +96,101 @@
 
   const state = {
     theme: store.get('nh.theme', (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) ? 'dark' : 'light'),
-    sound: store.get('nh.sound', true),
+    sound: store.get('nh.sound', true), // key clicks while typing
+    volume: store.get('nh.volume', 0.8),
+    readMode: store.get('nh.readMode', 'speech'), // 'speech' or 'chiptune'
+    speechRate: store.get('nh.speechRate', 0.9),
+    linePause: store.get('nh.linePause', 700), // ms between poem lines
     country: store.get('nh.country', defaultCountry()),
     category: store.get('nh.category', 'general'),
     haikuLang: store.get('nh.lang', 'auto'), // 'auto' or specific code
+    style: store.get('nh.style', 'classic'),
+    form: store.get('nh.form', 'haiku'),
+    uiLang: store.get('nh.uiLang', i18n.match(navigator.language)),
+    readerLang: store.get('nh.readerLang', ''), // '' = no translation gloss
+    showGloss: store.get('nh.showGloss', true),
+    sensitiveMode: store.get('nh.sensitive', 'elegy'), // 'elegy', 'skip' or 'keep'
     headlines: [],
     lastFetchedAt: 0,
     current: null, // {title, source, url}
     currentHaiku: '',
+    currentEntry: null, // history entry for the poem on screen
     history: store.get('nh.history', []),
+    historyCap: store.get('nh.historyCap', DEFAULT_HISTORY_CAP),
     favorites: store.get('nh.favorites', []),
     typing: false,
+    seen: new Set(), // titles already turned into poems since the list loaded
+    menuOpen: false,
+    menuCursor: 0,
+    online: navigator.onLine,
     reduceMotion: window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches,
   };
 
-  // Apply theme
+  // Deep links: ?country=LT&category=science&lang=en (style and form too; the
+  // same keys are read from the hash) win over the saved preferences for this
+  // visit, and the query string follows the selectors from then on.
+  const urlParams = new URLSearchParams(location.hash.slice(1));
+  new URLSearchParams(location.search).forEach((v, k) => urlParams.set(k, v));
+
+  function applyUrlState(params) {
+    const country = (params.get('country') || '').toUpperCase();
+    if (COUNTRIES.some(([c]) => c === country)) state.country = country;
+    const category = (params.get('category') || '').toLowerCase();
+    if (CATS.includes(category)) state.category = category;
+    const lang = params.get('lang');
+    if (lang === 'auto' || LANGS.some(([c]) => c === lang)) state.haikuLang = lang;
+    if (STYLES.includes(params.get('style'))) state.style = params.get('style');
+    if (FORMS.includes(params.get('form'))) state.form = params.get('form');
+  }
+  applyUrlState(urlParams);
+
+  // Kiosk / auto-play (?kiosk=1) for a wall screen: no controls, a new poem
+  // every `interval` seconds, moving on to the next category (or country with
+  // cycle=country) each time and never repeating a headline while there are
+  // new ones. Optional `categories=` / `countries=` lists limit the cycle.
+  const listParam = (name, valid) => (urlParams.get(name) || '').split(',').map(s => s.trim()).filter(v => valid.includes(v));
+  const kiosk = urlParams.get('kiosk') === '1' ? {
+    interval: Math.max(15, Number(urlParams.get('interval')) || 60) * 1000,
+    cycle: ['category', 'country', 'none'].includes(urlParams.get('cycle')) ? urlParams.get('cycle') : 'category',
+    categories: listParam('categories', CATS),
+    countries: listParam('countries', COUNTRIES.map(([c]) => c)),
+    shown: new Set(), // headline titles already on screen
+  } : null;
+  const MAX_KIOSK_SHOWN = 1000;
+
+  function syncUrl() {
+    if (kiosk) return; // a kiosk link should keep its parameters
+    const url = new URL(location.href);
+    if (/(^|&)(country|category|lang)=/.test(url.hash.slice(1))) url.hash = '';
+    const params = url.searchParams;
+    params.set('country', state.country);
+    params.set('category', state.category);
+    params.set('lang', state.haikuLang);
+    if (state.style !== 'classic') params.set('style', state.style);
+    else params.delete('style');
+    if (state.form !== 'haiku') params.set('form', state.form);
+    else params.delete('form');
+    history.replaceState(history.state, '', url);
+  }
+
+  // Apply theme and interface language
   document.documentElement.setAttribute('data-theme', state.theme);
+  state.uiLang = i18n.setLocale(state.uiLang);
+  i18n.translateDom();
 
   // Time
   function updateClock() {
     const d = new Date();
-    els.clock.textContent = d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
-    els.date.textContent = d.toLocaleDateString(undefined, { weekday: 'short', day: '2-digit', month: 'short' });
+    els.clock.textContent = d.toLocaleTimeString(i18n.locale, { hour: '2-digit', minute: '2-digit' });
+    els.date.textContent = d.toLocaleDateString(i18n.locale, { weekday: 'short', day: '2-digit', month: 'short' });
   }
   updateClock();
   setInterval(updateClock, 1000);
 
+  function escapeHtml(str) {
+    return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
   // Flag emoji from country code
   function flagEmoji(cc) {
     return cc.replace(/./g, c => String.fromCodePoint(c.charCodeAt(0) + 127397));
@@ -104,15 +198,20 @@
 
   // Simple beeper
   let audioCtx;
+  function audio() {
+    if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    return audioCtx;
+  }
+
   function beep(freq = 1200, duration = 0.02, vol = 0.035) {
-    if (!state.sound) return;
+    if (!state.sound || !state.volume) return;
     try {
-      if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      audio();
       const o = audioCtx.createOscillator();
       const g = audioCtx.createGain();
       o.type = 'square';
       o.frequency.setValueAtTime(freq, audioCtx.currentTime);
-      g.gain.setValueAtTime(vol, audioCtx.currentTime);
+      g.gain.setValueAtTime(vol * state.volume, audioCtx.currentTime);
       g.gain.exponentialRampToValueAtTime(0.0001, audioCtx.currentTime + duration);
       o.connect(g).connect(audioCtx.destination);
       o.start();
@@ -120,27 +219,64 @@
     } catch {}
   }
 
-  // Typewriter
-  async function typeText(el, text, speed = 18) {
+  // Typewriter: push() text as it arrives (streamed or all at once), then await done()
+  function createTyper(el, speed = 18) {
     state.typing = true;
     el.classList.remove('skeleton');
     el.textContent = '';
-    if (state.reduceMotion) {
-      el.textContent = text;
-      state.typing = false;
-      return;
-    }
     const cursor = document.createElement('span');
     cursor.className = 'cursor';
-    el.appendChild(cursor);
-    for (let i = 0; i < text.length; i++) {
-      const ch = text[i];
-      cursor.insertAdjacentText('beforebegin', ch);
-      if (/\S/.test(ch)) beep(1050 + Math.random()*200, 0.012, 0.03);
-      await new Promise(r => setTimeout(r, speed));
-    }
-    cursor.remove();
-    state.typing = false;
+    if (!state.reduceMotion) el.appendChild(cursor);
+    let queue = Promise.resolve();
+    return {
+      push(text) {
+        queue = queue.then(async () => {
+          if (state.reduceMotion) {
+            el.appendChild(document.createTextNode(text));
+            return;
+          }
+          for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            cursor.insertAdjacentText('beforebegin', ch);
+            if (/\S/.test(ch)) beep(1050 + Math.random()*200, 0.012, 0.03);
+            await new Promise(r => setTimeout(r, speed));
+          }
+        });
+      },
+      reset() {
+        queue = queue.then(() => {
+          el.textContent = '';
+          if (!state.reduceMotion) el.appendChild(cursor);
+        });
+      },
+      async done() {
+        await queue;
+        cursor.remove();
+        state.typing = false;
+      },
+    };
+  }
+
+  async function typeText(el, text, speed = 18) {
+    const typer = createTyper(el, speed);
+    typer.push(text);
+    await typer.done();
+  }
+
+  // Append per-line syllable counts (e.g. 5/7/5) after the typed poem
+  function renderSyllables(el, text, counts, pattern) {
+    if (!Array.isArray(counts) || !counts.length) return;
+    el.textContent = '';
+    text.split('\n').forEach((line, i) => {
+      if (i) el.appendChild(document.createTextNode('\n'));
+      el.appendChild(document.createTextNode(line));
+      if (counts[i] == null) return;
+      const badge = document.createElement('span');
+      badge.className = 'syllables' + (pattern && counts[i] !== pattern[i] ? ' off' : '');
+      badge.textContent = counts[i];
+      badge.title = pattern ? t('syllables.of', { got: counts[i], count: pattern[i] }) : t('syllables.count', { count: counts[i] });
+      el.appendChild(badge);
+    });
   }
 
   // UI helpers
@@ -157,17 +293,23 @@
     return f ? f[2] : 'en';
   }
 
+  function countryName(code) {
+    return i18n.displayName('region', code, COUNTRIES.find(([c]) => c === code)?.[1] || code);
+  }
+
+  function langName(code) {
+    return i18n.displayName('language', code, LANGS.find(([c]) => c === code)?.[1] || code);
+  }
+
   function renderIndicator() {
-    const src = state.current?.source || '—';
-    const catLabel = CATS.find(c => c.val === state.category)?.label || state.category;
-    const countryName = COUNTRIES.find(([c]) => c === state.country)?.[1] || state.country;
-    const haikuLang = state.haikuLang === 'auto' ? `${defaultLangForCountry(state.country)} (auto)` : state.haikuLang;
-    els.indicator.innerHTML = `Source: <b>${src}</b> • Country: <b>${countryName} ${flagEmoji(state.country)}</b> • Category: <b>${catLabel}</b> • Haiku: <b>${haikuLang}</b>${state.sound ? ' • 🔊' : ' • 🔇'}`;
+    const src = escapeHtml(state.current?.source || '—');
+    const haikuLang = state.haikuLang === 'auto' ? t('indicator.auto', { lang: defaultLangForCountry(state.country) }) : state.haikuLang;
+    els.indicator.innerHTML = `${t('indicator.source')}: <b>${src}</b>${state.current?.sensitive ? ` <span class="sensitive-badge" title="${escapeHtml(t('indicator.sensitiveHint'))}">${t('indicator.sensitive')}</span>` : ''} • ${t('indicator.country')}: <b>${escapeHtml(countryName(state.country))} ${flagEmoji(state.country)}</b> • ${t('indicator.category')}: <b>${t('cat.' + state.category)}</b> • ${t('indicator.haiku')}: <b>${haikuLang}, ${t('form.' + state.form)}, ${t('style.' + state.style)}</b>${state.sound ? ' • 🔊' : ' • 🔇'}${state.online ? '' : ` <span class="offline-badge" title="${escapeHtml(t('indicator.offlineHint'))}">${t('indicator.offline')}</span>`}`;
   }
 
   function renderCategoryChips() {
     els.categoryRow.innerHTML = CATS.map(c =>
-      `<span class="chip ${c.val === state.category ? 'active' : ''}" data-cat="${c.val}">${c.label}</span>`
+      `<span class="chip ${c === state.category ? 'active' : ''}" data-cat="${c}">${t('cat.' + c)}</span>`
     ).join('');
     $$('.chip', els.categoryRow).forEach(ch => {
       ch.addEventListener('click', async () => {
@@ -178,28 +320,52 @@
         ch.classList.add('active');
         state.category = ch.dataset.cat;
         store.set('nh.category', state.category);
+        syncUrl();
         renderIndicator();
         // refresh headlines in background
         state.headlines = [];
+        state.seen.clear();
         state.lastFetchedAt = 0;
         await ensureHeadlines();
-        toast(`Category: ${CATS.find(x=>x.val===state.category)?.label}`);
+        toast(t('toast.category', { name: t('cat.' + state.category) }));
       });
     });
   }
 
   function renderSelectors() {
     // Country select
-    els.countrySelect.innerHTML = COUNTRIES.map(([code, name]) => {
-      return `<option value="${code}">${name} ${flagEmoji(code)}</option>`;
+    els.countrySelect.innerHTML = COUNTRIES.map(([code]) => {
+      return `<option value="${code}">${escapeHtml(countryName(code))} ${flagEmoji(code)}</option>`;
     }).join('');
     els.countrySelect.value = state.country;
 
     // Language select
-    els.langSelect.innerHTML = LANGS.map(([code, label]) => {
-      return `<option value="${code}">${label}</option>`;
+    els.langSelect.innerHTML = `<option value="auto">${t('lang.auto')}</option>` + LANGS.map(([code]) => {
+      return `<option value="${code}">${escapeHtml(langName(code))}</option>`;
     }).join('');
     els.langSelect.value = state.haikuLang;
+
+    // Style + form selects
+    els.styleSelect.innerHTML = STYLES.map(code => `<option value="${code}">${t('style.' + code)}</option>`).join('');
+    els.styleSelect.value = state.style;
+    els.formSelect.innerHTML = FORMS.map(code => `<option value="${code}">${t('form.' + code)}</option>`).join('');
+    els.formSelect.value = state.form;
+
+    // Reader language for the translation gloss
+    els.readerLangSelect.innerHTML = `<option value="">${t('lang.off')}</option>` + LANGS.map(([code]) => {
+      return `<option value="${code}">${escapeHtml(langName(code))}</option>`;
+    }).join('');
+    els.readerLangSelect.value = state.readerLang;
+
+    // Sad news: elegy, skip or as usual
+    els.sensitiveSelect.innerHTML = SENSITIVE_MODES.map(code => `<option value="${code}">${t('sensitive.' + code)}</option>`).join('');
+    els.sensitiveSelect.value = state.sensitiveMode;
+
+    // Interface language, each named in its own language
+    els.uiLangSelect.innerHTML = i18n.locales.map(code => {
+      return `<option value="${code}">${escapeHtml(i18n.catalogName(code))}</option>`;
+    }).join('');
+    els.uiLangSelect.value = state.uiLang;
   }
 
   // Data
@@ -210,15 +376,81 @@
     return data.headlines || [];
   }
 
-  async function fetchHaiku(headline, langToUse) {
+  function rateLimitError(r) {
+    const err = new Error('Too many requests');
+    err.code = 'rate_limited';
+    err.retryAfter = Number(r.headers.get('Retry-After')) || 60;
+    return err;
+  }
+
+  function readerLangParam() {
+    return state.readerLang ? { readerLang: state.readerLang } : {};
+  }
+
+  async function fetchHaiku(headline, langToUse, extra = {}) {
     const r = await fetch('/api/haiku', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ headline, lang: langToUse })
+      body: JSON.stringify({ headline, lang: langToUse, style: state.style, form: state.form, ...readerLangParam(), ...extra })
     });
+    if (r.status === 429) throw rateLimitError(r);
     const data = await r.json();
     if (!data.haiku) throw new Error('Haiku generation failed');
-    return data.haiku;
+    return data;
+  }
+
+  // Parse "event:/data:" blocks from an SSE response body
+  async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        onEvent(event, data ? JSON.parse(data) : null);
+      }
+    }
+  }
+
+  // Streams the poem into the typer; falls back to the JSON endpoint when the
+  // server or browser can't stream. An SSE "error" event is thrown, not retried.
+  async function fetchHaikuStreaming(headline, langToUse, typer, extra = {}) {
+    let r;
+    try {
+      r = await fetch('/api/haiku', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+        body: JSON.stringify({ headline, lang: langToUse, style: state.style, form: state.form, ...readerLangParam(), ...extra })
+      });
+    } catch {
+      r = null;
+    }
+    if (r?.status === 429) throw rateLimitError(r);
+    if (!r || !r.body || !(r.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      const data = await fetchHaiku(headline, langToUse, extra);
+      typer.push(data.haiku);
+      return data;
+    }
+    let result = null;
+    let failure = null;
+    await readEventStream(r, (event, data) => {
+      if (event === 'token') typer.push(data.text);
+      if (event === 'retry') typer.reset();
+      if (event === 'done') result = data;
+      if (event === 'error') failure = data;
+    });
+    if (failure || !result?.haiku) {
+      const err = new Error(failure?.error || 'Haiku generation failed');
+      err.code = failure?.code;
+      throw err;
+    }
+    return result;
   }
 
   async function ensureHeadlines() {
@@ -226,11 +458,16 @@
     if (state.headlines.length && (Date.now() - state.lastFetchedAt < freshForMs)) return;
     try {
       setSkeleton(true);
-      state.headlines = await fetchNews(state.category, state.country);
+      const headlines = await fetchNews(state.category, state.country);
+      state.headlines = state.sensitiveMode === 'skip' ? headlines.filter(h => !h.sensitive) : headlines;
       state.lastFetchedAt = Date.now();
+      if (headlines.length && !state.headlines.length) toast(t('toast.allSensitive'), 2500);
+      const titles = new Set(state.headlines.map(h => h.title));
+      state.seen = new Set([...state.seen].filter(t => titles.has(t)));
+      if (state.menuOpen) renderMenu();
     } catch (e) {
       console.warn(e);
-      toast('Could not fetch news.');
+      toast(t('toast.newsFailed'));
     } finally {
       setSkeleton(false);
     }
@@ -240,6 +477,92 @@
     return arr[Math.floor(Math.random() * arr.length)];
   }
 
+  // Random headline not used since the list loaded; starts over once every
+  // headline has had its poem.
+  function pickUnseen() {
+    let pool = state.headlines.filter(h => !state.seen.has(h.title));
+    if (!pool.length) {
+      state.seen = new Set(state.current ? [state.current.title] : []);
+      pool = state.headlines.filter(h => !state.seen.has(h.title));
+      if (!pool.length) pool = state.headlines;
+      toast(t('toast.allUsed'));
+    }
+    return pickRandom(pool);
+  }
+
+  // Headline menu: choose the story like an old phone menu
+  function currentIndex() {
+    return state.current ? state.headlines.findIndex(h => h.title === state.current.title) : -1;
+  }
+
+  function renderMenu() {
+    const idx = currentIndex();
+    els.headlineMenu.innerHTML = state.headlines.map((h, i) => `
+      <li id="menu-item-${i}" class="menu-item${i === state.menuCursor ? ' active' : ''}${state.seen.has(h.title) ? ' seen' : ''}" role="option" aria-selected="${i === state.menuCursor}" data-i="${i}">
+        <span class="menu-num">${i + 1}</span><span class="menu-title">${escapeHtml(h.title)}</span>${h.sensitive ? `<span class="menu-tag" title="${escapeHtml(t('indicator.sensitiveHint'))}">${t('lists.sensitive')}</span>` : ''}${i === idx ? '<span class="menu-mark">◂</span>' : ''}
+      </li>`).join('');
+    els.headlineMenu.setAttribute('aria-activedescendant', `menu-item-${state.menuCursor}`);
+    els.headlineMenu.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  async function openMenu() {
+    if (state.typing || state.menuOpen) return;
+    await ensureHeadlines();
+    if (!state.headlines.length) return toast(t('toast.noHeadlines'));
+    state.menuOpen = true;
+    state.menuCursor = Math.max(0, currentIndex());
+    els.content.classList.add('menu-open');
+    els.headlineMenu.hidden = false;
+    els.menuKey.textContent = t('buttons.select');
+    renderMenu();
+    beep(900, 0.03);
+  }
+
+  function closeMenu() {
+    if (!state.menuOpen) return;
+    state.menuOpen = false;
+    els.content.classList.remove('menu-open');
+    els.headlineMenu.hidden = true;
+    els.menuKey.textContent = t('buttons.list');
+  }
+
+  function moveMenu(delta) {
+    const n = state.headlines.length;
+    if (!n) return;
+    state.menuCursor = Math.min(n - 1, Math.max(0, state.menuCursor + delta));
+    renderMenu();
+    beep(1200, 0.015);
+  }
+
+  function selectMenu(i = state.menuCursor) {
+    const item = state.headlines[i];
+    if (item) newHaiku(item);
+  }
+
+  // Previous/next headline in list order, wrapping around
+  function stepHeadline(delta) {
+    if (state.typing) return;
+    const n = state.headlines.length;
+    if (!n) return newHaiku();
+    const idx = currentIndex();
+    const next = idx < 0 ? (delta > 0 ? 0 : n - 1) : (idx + delta + n) % n;
+    newHaiku(state.headlines[next]);
+  }
+
+  // Thumbnail + article age under the headline
+  function renderHeadlineMeta(item) {
+    const age = item?.publishedAt ? i18n.timeAgo(item.publishedAt) : '';
+    if (!item || (!item.image && !age)) {
+      els.headlineMeta.hidden = true;
+      els.headlineMeta.innerHTML = '';
+      return;
+    }
+    els.headlineMeta.innerHTML = `${item.image ? `<img class="thumb" src="${escapeHtml(item.image)}" alt="" loading="lazy" referrerpolicy="no-referrer">` : ''}<span class="age">${escapeHtml(age)}</span>`;
+    const img = els.headlineMeta.querySelector('img');
+    if (img) img.addEventListener('error', () => img.remove());
+    els.headlineMeta.hidden = false;
+  }
+
   function setSkeleton(on) {
     els.headline.classList.toggle('skeleton', on);
     els.haiku.classList.toggle('skeleton', on);
@@ -247,7 +570,7 @@
 
   function setFavoriteButtonActive(on) {
     els.favoriteButton.classList.toggle('active', !!on);
-    els.favoriteButton.textContent = on ? '💛 Favorited' : '🤍 Favorite';
+    els.favoriteButton.textContent = t(on ? 'buttons.favorited' : 'buttons.favorite');
   }
 
   function entryKey(entry) {
@@ -260,165 +583,752 @@
   }
 
   // Main action
-  async function newHaiku() {
+  // `pick` is a headline chosen from the menu, by prev/next or typed in custom
+  // mode; without one a random unused headline is taken.
+  async function newHaiku(pick) {
     if (state.typing) return;
+    closeMenu();
+    stopReading();
     renderIndicator();
     try {
       setSkeleton(true);
       els.headline.textContent = '';
       els.haiku.textContent = '';
+      renderHeadlineMeta(null);
+      renderGloss(null);
 
-      await ensureHeadlines();
-      if (!state.headlines.length) {
-        els.headline.textContent = 'No headlines right now. Try again.';
-        els.haiku.textContent = '';
-        return;
+      if (!pick) {
+        await ensureHeadlines();
+        if (!state.headlines.length && !state.online && await showFromHistory()) return;
+        if (!state.headlines.length) {
+          els.headline.textContent = t('screen.noHeadlines');
+          els.haiku.textContent = '';
+          return;
+        }
       }
 
-      // pick a random headline and generate haiku
-      const item = pickRandom(state.headlines);
+      const item = pick || pickUnseen();
       state.current = item;
+      state.seen.add(item.title);
       renderIndicator();
+      renderHeadlineMeta(item);
 
       await typeText(els.headline, item.title, 15);
 
       const langToUse = state.haikuLang === 'auto' ? defaultLangForCountry(state.country) : state.haikuLang;
-      const poem = await fetchHaiku(item.title, langToUse);
+      const prefs = { country: state.country, category: state.category, haikuLang: langToUse, style: state.style, form: state.form, readerLang: state.readerLang, onSensitive: state.sensitiveMode === 'keep' ? 'keep' : 'elegy' };
+      if (!state.online) return offlineHaiku(item, prefs);
+      const typer = createTyper(els.haiku, 24);
+      let result;
+      try {
+        result = await fetchHaikuStreaming(item.title, langToUse, typer, { ...sensitiveParams(item, prefs), ...(item.summary ? { summary: item.summary } : {}) });
+      } catch (e) {
+        // fetch rejects with a TypeError when the network is gone
+        if (!(e instanceof TypeError)) throw e;
+      } finally {
+        await typer.done();
+      }
+      if (!result) return offlineHaiku(item, prefs);
+      const poem = result.haiku;
       state.currentHaiku = poem;
-      await typeText(els.haiku, poem, 24);
+      // streamed tokens may include stray text; settle on the cleaned poem
+      els.haiku.textContent = poem;
+      renderSyllables(els.haiku, poem, result.syllables, result.pattern);
 
       // update favorite button
-      const entry = {
-        title: item.title,
-        source: item.source,
-        url: item.url,
-        haiku: poem,
-        createdAt: new Date().toISOString(),
-        country: state.country,
-        category: state.category,
-        haikuLang: langToUse,
-      };
+      const entry = buildEntry(item, result, prefs);
+      state.currentEntry = entry;
+      if (entry.sensitive && !item.sensitive) {
+        state.current = { ...item, sensitive: true };
+        renderIndicator();
+      }
+      renderGloss(entry);
       setFavoriteButtonActive(isFavorited(entry));
       pushHistory(entry);
     } catch (e) {
       console.error(e);
       els.haiku.classList.remove('skeleton');
       els.haiku.classList.add('error-state');
-      els.haiku.textContent = 'Could not generate haiku.';
-      toast('Oops! Haiku failed.');
+      els.haiku.textContent = t('screen.haikuFailed');
+      toast(e.code === 'rate_limited' ? t('toast.slowDown', { seconds: e.retryAfter }) : t('toast.haikuFailed'), 2500);
     } finally {
       setSkeleton(false);
     }
   }
 
+  function buildEntry(item, result, prefs) {
+    return {
+      title: item.title,
+      source: item.source,
+      url: item.url,
+      haiku: result.haiku,
+      createdAt: new Date().toISOString(),
+      country: prefs.country,
+      category: prefs.category,
+      haikuLang: prefs.haikuLang,
+      style: result.style || prefs.style,
+      form: result.form || prefs.form,
+      syllables: result.syllables,
+      strict: result.strict,
+      publishedAt: item.publishedAt || null,
+      image: item.image || null,
+      gloss: result.gloss || null,
+      sensitive: !!(result.sensitive || item.sensitive),
+    };
+  }
+
+  // Sensitive headlines (tagged by /api/news, or by /api/haiku's own keyword
+  // check in the headline's language) get the elegy style unless the user
+  // chose to write them as usual. Typed headlines are taken to be in the
+  // country's language.
+  function sensitiveParams(item, prefs) {
+    return {
+      onSensitive: prefs.onSensitive || 'keep',
+      headlineLang: item.lang || defaultLangForCountry(prefs.country),
+      ...(item.sensitive ? { sensitive: true } : {}),
+    };
+  }
+
+  // Translated headline and poem under the poem, folded away on request
+  function renderGloss(entry) {
+    const gloss = entry?.gloss;
+    els.gloss.hidden = !gloss;
+    if (!gloss) {
+      els.gloss.innerHTML = '';
+      return;
+    }
+    const label = state.showGloss ? t('gloss.hide') : t('gloss.show', { lang: langName(gloss.lang) });
+    els.gloss.innerHTML = `<button class="gloss-toggle" data-action="toggle-gloss" aria-expanded="${state.showGloss}">${escapeHtml(label)}</button>${state.showGloss ? `
+      <div class="gloss-body" lang="${escapeHtml(gloss.lang)}">
+        <div class="gloss-headline">${escapeHtml(gloss.headline)}</div>${gloss.haiku ? `<div class="gloss-haiku">${escapeHtml(gloss.haiku)}</div>` : ''}
+      </div>` : ''}`;
+  }
+
+  function showEntry(entry) {
+    state.currentHaiku = entry.haiku;
+    state.currentEntry = entry;
+    els.haiku.classList.remove('skeleton', 'error-state');
+    els.haiku.textContent = entry.haiku;
+    renderSyllables(els.haiku, entry.haiku, entry.syllables);
+    renderGloss(entry);
+    setFavoriteButtonActive(isFavorited(entry));
+  }
+
+  // Offline with no headlines at all: replay a poem from history, preferring
+  // the selected country and category.
+  async function showFromHistory() {
+    if (!state.history.length) return false;
+    const local = state.history.filter(e => e.country === state.country && e.category === state.category);
+    const entry = pickRandom(local.length ? local : state.history);
+    state.current = { title: entry.title, source: entry.source, url: entry.url, sensitive: !!entry.sensitive };
+    renderIndicator();
+    await typeText(els.headline, entry.title, 15);
+    showEntry(entry);
+    toast(t('toast.offlineFromHistory'), 2500);
+    return true;
+  }
+
+  // Offline: reuse a poem for this headline from history, or queue the
+  // request until the connection comes back.
+  function offlineHaiku(item, prefs) {
+    const matches = state.history.filter(e => e.title === item.title && e.haikuLang === prefs.haikuLang);
+    const cached = matches.find(e => e.style === prefs.style && e.form === prefs.form) || matches[0];
+    if (cached) {
+      showEntry(cached);
+      toast(t('toast.offlineFromHistory'), 2500);
+      return;
+    }
+    enqueueHaiku(item, prefs);
+    state.currentHaiku = '';
+    state.currentEntry = null;
+    renderGloss(null);
+    els.haiku.classList.remove('skeleton');
+    els.haiku.textContent = t('screen.queued');
+    toast(t('toast.offlineQueued'), 2500);
+  }
+
+  function enqueueHaiku(item, prefs) {
+    const queued = {
+      title: item.title,
+      source: item.source,
+      url: item.url,
+      summary: item.summary || '',
+      publishedAt: item.publishedAt || null,
+      image: item.image || null,
+      lang: item.lang || null,
+      sensitive: !!item.sensitive,
+      ...prefs,
+      queuedAt: new Date().toISOString(),
+    };
+    const same = q => q.title === queued.title && q.haikuLang === queued.haikuLang && q.style === queued.style && q.form === queued.form;
+    const queue = store.get('nh.queue', []).filter(q => !same(q));
+    store.set('nh.queue', [...queue, queued].slice(-MAX_QUEUE));
+  }
+
+  let draining = false;
+  async function drainQueue() {
+    if (draining || !state.online) return;
+    const queue = store.get('nh.queue', []);
+    if (!queue.length) return;
+    draining = true;
+    let ready = 0;
+    try {
+      while (queue.length) {
+        const q = queue[0];
+        try {
+          const result = await fetchHaiku(q.title, q.haikuLang, { style: q.style, form: q.form, readerLang: q.readerLang || undefined, ...sensitiveParams(q, q), ...(q.summary ? { summary: q.summary } : {}) });
+          const entry = buildEntry(q, result, q);
+          pushHistory(entry);
+          ready++;
+          // still looking at the queued headline? show its poem
+          if (!state.currentEntry && !state.typing && state.current?.title === q.title) showEntry(entry);
+        } catch (e) {
+          // network or rate limit: keep the rest for the next attempt
+          if (e instanceof TypeError || e.code === 'rate_limited') break;
+          console.warn('Dropping queued haiku', q.title, e);
+        }
+        queue.shift();
+        store.set('nh.queue', queue);
+      }
+    } finally {
+      draining = false;
+      if (ready) toast(t('toast.queuedReady', { count: ready }), 3000);
+    }
+  }
+
+  // History entries pushed past the cap move to IndexedDB instead of being
+  // dropped. Without IndexedDB (private mode, old browsers) they are dropped
+  // as before.
+  const archive = (() => {
+    let dbPromise;
+    function open() {
+      if (!window.indexedDB) return Promise.reject(new Error('IndexedDB unavailable'));
+      dbPromise ??= new Promise((resolve, reject) => {
+        const req = indexedDB.open('inhaiku', 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('history', { keyPath: 'key' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      return dbPromise;
+    }
+    async function run(mode, fn) {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('history', mode);
+        const result = fn(tx.objectStore('history'));
+        tx.oncomplete = () => resolve(result?.result);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+    return {
+      put: entries => run('readwrite', os => entries.forEach(e => os.put({ ...e, key: entryKey(e) }))),
+      delete: keys => run('readwrite', os => keys.forEach(k => os.delete(k))),
+      async all() {
+        const rows = await run('readonly', os => os.getAll());
+        return rows.map(({ key, ...e }) => e);
+      },
+    };
+  })();
+
   function pushHistory(entry) {
-    // dedupe by key, keep last 80
+    // dedupe by key, keep the newest state.historyCap and archive the rest
     const key = entryKey(entry);
-    state.history = [entry, ...state.history.filter(e => entryKey(e) !== key)].slice(0, 80);
+    const all = [entry, ...state.history.filter(e => entryKey(e) !== key)];
+    state.history = all.slice(0, state.historyCap);
     store.set('nh.history', state.history);
+    archiveOverflow(all.slice(state.historyCap));
+  }
+
+  function archiveOverflow(entries) {
+    if (!entries.length) return;
+    archive.put(entries)
+      .then(() => { views.history.archived = null; })
+      .catch(e => console.warn('Archive unavailable', e));
+  }
+
+  // Quick history (localStorage) followed by archived entries, newest first.
+  async function allHistory() {
+    const view = views.history;
+    if (!view.archived) {
+      try {
+        const keys = new Set(state.history.map(entryKey));
+        view.archived = (await archive.all()).filter(e => !keys.has(entryKey(e)));
+      } catch {
+        view.archived = [];
+      }
+    }
+    return [...state.history, ...view.archived.map(e => ({ ...e, archived: true }))];
   }
 
   function toggleFavoriteCurrent() {
-    if (!state.current || !state.currentHaiku) return;
-    const entry = {
-      title: state.current.title,
-      source: state.current.source,
-      url: state.current.url,
-      haiku: state.currentHaiku,
-      createdAt: new Date().toISOString(),
-      country: state.country,
-      category: state.category,
-      haikuLang: state.haikuLang === 'auto' ? defaultLangForCountry(state.country) : state.haikuLang,
-    };
+    if (!state.current || !state.currentHaiku || !state.currentEntry) return;
+    const entry = { ...state.currentEntry, createdAt: new Date().toISOString() };
     const key = entryKey(entry);
     if (isFavorited(entry)) {
       state.favorites = state.favorites.filter(e => entryKey(e) !== key);
       setFavoriteButtonActive(false);
-      toast('Removed from favorites');
+      toast(t('toast.removedFavorite'));
     } else {
-      state.favorites = [entry, ...state.favorites].slice(0, 150);
+      state.favorites = [entry, ...state.favorites].slice(0, MAX_FAVORITES);
       setFavoriteButtonActive(true);
-      toast('Added to favorites');
+      toast(t('toast.addedFavorite'));
     }
     store.set('nh.favorites', state.favorites);
   }
 
+  function addFavorites(entries) {
+    const fresh = entries.filter(e => !isFavorited(e)).map(({ archived, ...e }) => e);
+    state.favorites = [...fresh, ...state.favorites].slice(0, MAX_FAVORITES);
+    store.set('nh.favorites', state.favorites);
+    if (state.currentEntry) setFavoriteButtonActive(isFavorited(state.currentEntry));
+    return fresh.length;
+  }
+
+  async function removeEntries(list, entries) {
+    const keys = new Set(entries.map(entryKey));
+    state[list] = state[list].filter(e => !keys.has(entryKey(e)));
+    store.set(LISTS[list].storeKey, state[list]);
+    if (list === 'history') {
+      const archivedKeys = entries.filter(e => e.archived).map(entryKey);
+      if (archivedKeys.length) {
+        await archive.delete(archivedKeys).catch(() => {});
+        views.history.archived = null;
+      }
+    } else if (state.currentEntry) {
+      setFavoriteButtonActive(isFavorited(state.currentEntry));
+    }
+    keys.forEach(k => views[list].selected.delete(k));
+  }
+
   // Modals
+  const modals = () => [els.historyModal, els.favoritesModal, els.soundModal, els.customModal];
   function openModal(el) { el.style.display = 'block'; }
-  function closeModals() { els.historyModal.style.display = 'none'; els.favoritesModal.style.display = 'none'; }
+  function closeModals() { modals().forEach(m => { m.style.display = 'none'; }); }
+
+  // Per-modal search, facet filters, sort and selection
+  const FACETS = ['country', 'category', 'haikuLang', 'source'];
+  const MAX_SOURCE_CHIPS = 12;
+  const views = {
+    history: { query: '', filters: {}, sort: 'newest', selected: new Set(), archived: null, visible: [] },
+    favorites: { query: '', filters: {}, sort: 'newest', selected: new Set(), visible: [] },
+  };
+
+  function applyView(view, items) {
+    const q = view.query.trim().toLowerCase();
+    const filtered = items.filter(e =>
+      (!q || `${e.title}\n${e.haiku}\n${e.gloss?.headline || ''}\n${e.gloss?.haiku || ''}`.toLowerCase().includes(q)) &&
+      Object.entries(view.filters).every(([facet, value]) => e[facet] === value));
+    const byDate = (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt);
+    if (view.sort === 'oldest') return filtered.sort((a, b) => byDate(b, a));
+    if (view.sort === 'source') return filtered.sort((a, b) => String(a.source).localeCompare(String(b.source)) || byDate(a, b));
+    return filtered.sort(byDate);
+  }
+
+  function renderFilterChips(list, items) {
+    const view = views[list];
+    const row = $(`.filter-chips[data-list="${list}"]`);
+    row.innerHTML = FACETS.map(facet => {
+      const counts = new Map();
+      items.forEach(e => e[facet] && counts.set(e[facet], (counts.get(e[facet]) || 0) + 1));
+      let values = [...counts.keys()];
+      if (facet === 'source') values = values.sort((a, b) => counts.get(b) - counts.get(a)).slice(0, MAX_SOURCE_CHIPS);
+      else values.sort();
+      if (values.length < 2 && !view.filters[facet]) return '';
+      return `<span class="facet-label">${t('facet.' + facet)}:</span>` + values.map(v => `
+        <span class="chip ${view.filters[facet] === v ? 'active' : ''}" data-facet="${facet}" data-value="${escapeHtml(v)}">${escapeHtml(v)}</span>`).join('');
+    }).join('');
+    $$('.chip', row).forEach(chip => chip.addEventListener('click', () => {
+      const { facet, value } = chip.dataset;
+      if (view.filters[facet] === value) delete view.filters[facet];
+      else view.filters[facet] = value;
+      renderModalList(list);
+    }));
+  }
+
+  function renderBulkBar(list) {
+    const view = views[list];
+    const bar = $(`.bulk-bar[data-list="${list}"]`);
+    const count = view.visible.filter(e => view.selected.has(entryKey(e))).length;
+    $('.selected-count', bar).textContent = count ? t('lists.selected', { count }) : '';
+    $('.select-all', bar).checked = count > 0 && count === view.visible.length;
+    $$('[data-action^="bulk-"]', bar).forEach(b => { b.disabled = !count; });
+  }
+
+  async function renderModalList(list) {
+    const view = views[list];
+    const items = list === 'history' ? await allHistory() : state.favorites;
+    view.visible = applyView(view, items);
+    renderFilterChips(list, items);
+    const empty = t(items.length ? 'lists.noMatches' : `lists.${list}Empty`);
+    renderList(list === 'history' ? els.historyList : els.favoritesList, view.visible, empty, list);
+    renderBulkBar(list);
+  }
 
-  function renderList(container, items, emptyMsg) {
+  function renderList(container, items, emptyMsg, list) {
+    const selected = views[list].selected;
     if (!items.length) {
       container.innerHTML = `<div class="item-header" style="justify-content:center;opacity:.8;">${emptyMsg}</div>`;
       return;
     }
     container.innerHTML = items.map((e, i) => `
-      <div class="${container === els.historyList ? 'history-item' : 'favorite-item'}">
+      <div class="${list === 'history' ? 'history-item' : 'favorite-item'}${e.archived ? ' archived' : ''}">
         <div class="item-header">
-          <span class="item-source">${e.source} • ${e.country} ${flagEmoji(e.country)} • ${e.category} • ${e.haikuLang || ''}</span>
-          <span class="item-date">${new Date(e.createdAt).toLocaleString()}</span>
+          <label class="item-select"><input type="checkbox" data-i="${i}" ${selected.has(entryKey(e)) ? 'checked' : ''} aria-label="${t('lists.select')}"></label>
+          <span class="item-source">${escapeHtml(e.source)} • ${escapeHtml(e.country)} ${/^[A-Z]{2}$/.test(e.country || '') ? flagEmoji(e.country) : ''} • ${escapeHtml(e.category)} • ${escapeHtml(e.haikuLang || '')}${e.form && e.form !== 'haiku' ? ` • ${escapeHtml(e.form)}` : ''}${e.style && e.style !== 'classic' ? ` • ${escapeHtml(e.style)}` : ''}${e.publishedAt ? ` • ${i18n.timeAgo(e.publishedAt)}` : ''}${e.archived ? ` • ${t('lists.archived')}` : ''}${e.sensitive ? ` • <span class="item-tag" title="${escapeHtml(t('indicator.sensitiveHint'))}">${t('lists.sensitive')}</span>` : ''}</span>
+          <span class="item-date">${i18n.formatDateTime(e.createdAt)}</span>
         </div>
-        <div class="item-headline">${e.title}</div>
-        <div class="item-haiku">${e.haiku}</div>
+        <div class="item-headline">${e.image ? `<img class="thumb" src="${escapeHtml(e.image)}" alt="" loading="lazy" referrerpolicy="no-referrer">` : ''}${escapeHtml(e.title)}</div>
+        <div class="item-haiku">${escapeHtml(e.haiku)}</div>
+        ${e.gloss ? `<div class="item-gloss" lang="${escapeHtml(e.gloss.lang)}">${escapeHtml([e.gloss.headline, e.gloss.haiku].filter(Boolean).join('\n'))}</div>` : ''}
         <div class="item-actions">
-          <button class="small-btn" data-act="open" data-i="${i}">Open</button>
-          <button class="small-btn" data-act="copy" data-i="${i}">Copy</button>
-          <button class="small-btn" data-act="${container === els.historyList ? 'fav' : 'unfav'}" data-i="${i}">
-            ${container === els.historyList ? 'Favorite' : 'Remove'}
+          <button class="small-btn" data-act="open" data-i="${i}">${t('lists.open')}</button>
+          <button class="small-btn" data-act="copy" data-i="${i}">${t('lists.copy')}</button>
+          <button class="small-btn" data-act="image" data-i="${i}">${t('lists.image')}</button>
+          <button class="small-btn" data-act="${list === 'history' ? 'fav' : 'unfav'}" data-i="${i}">
+            ${t(list === 'history' ? 'lists.favorite' : 'lists.remove')}
           </button>
         </div>
       </div>
     `).join('');
 
+    container.querySelectorAll('.item-select input').forEach(box => {
+      box.addEventListener('change', () => {
+        const key = entryKey(items[Number(box.dataset.i)]);
+        if (box.checked) selected.add(key);
+        else selected.delete(key);
+        renderBulkBar(list);
+      });
+    });
+
     container.querySelectorAll('.small-btn').forEach(btn => {
       const idx = Number(btn.dataset.i);
       const item = items[idx];
-      btn.addEventListener('click', () => {
+      btn.addEventListener('click', async () => {
         const act = btn.dataset.act;
         if (act === 'open') {
           if (item?.url && item.url !== '#') window.open(item.url, '_blank');
         } else if (act === 'copy') {
-          copyText(`${item.haiku}\n\n${item.title}\n${item.url}`);
+          copyText(`${item.haiku}\n\n${item.title}\n${item.permalink || item.url}`);
+        } else if (act === 'image') {
+          downloadEntryImage(item);
         } else if (act === 'fav') {
-          if (!isFavorited(item)) {
-            state.favorites = [item, ...state.favorites].slice(0, 150);
-            store.set('nh.favorites', state.favorites);
-            toast('Added to favorites');
-          }
+          if (addFavorites([item])) toast(t('toast.addedFavorite'));
         } else if (act === 'unfav') {
-          const key = entryKey(item);
-          state.favorites = state.favorites.filter(e => entryKey(e) !== key);
-          store.set('nh.favorites', state.favorites);
-          renderList(els.favoritesList, state.favorites, 'Nothing here yet.');
-          toast('Removed from favorites');
+          await removeEntries('favorites', [item]);
+          renderModalList('favorites');
+          toast(t('toast.removedFavorite'));
         }
       });
     });
   }
 
+  async function bulkAction(list, action) {
+    const view = views[list];
+    const chosen = view.visible.filter(e => view.selected.has(entryKey(e)));
+    if (!chosen.length) return;
+    if (action === 'bulk-favorite') {
+      const added = addFavorites(chosen);
+      toast(t('toast.addedFavorites', { count: added }));
+    } else {
+      if (!confirm(t('lists.confirmRemove', { count: chosen.length }))) return;
+      await removeEntries(list, chosen);
+      toast(t('toast.removed', { count: chosen.length }));
+    }
+    view.selected.clear();
+    renderModalList(list);
+  }
+
+  function setHistoryCap(cap) {
+    state.historyCap = cap;
+    store.set('nh.historyCap', cap);
+    archiveOverflow(state.history.slice(cap));
+    state.history = state.history.slice(0, cap);
+    store.set('nh.history', state.history);
+    renderModalList('history');
+    toast(t('toast.historyCap', { count: cap }));
+  }
+
   // Copy/share
   function copyText(text) {
-    navigator.clipboard.writeText(text).then(() => toast('Copied!'));
+    navigator.clipboard.writeText(text).then(() => toast(t('toast.copied')));
   }
 
-  function copyCurrent() {
-    if (!state.currentHaiku || !state.current) return;
-    copyText(`${state.currentHaiku}\n\n${state.current.title}\n${state.current.url}`);
+  // Stores the current entry server-side once and remembers its /h/:id link;
+  // resolves to the article URL if that fails so sharing still works.
+  async function ensurePermalink(entry) {
+    if (entry.permalink) return entry.permalink;
+    try {
+      const r = await fetch('/api/permalink', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          haiku: entry.haiku,
+          title: entry.title,
+          source: entry.source,
+          url: entry.url,
+          lang: entry.haikuLang,
+          country: entry.country,
+          category: entry.category,
+          style: entry.style,
+          form: entry.form,
+        }),
+      });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const { url } = await r.json();
+      entry.permalink = new URL(url, location.origin).toString();
+      store.set('nh.history', state.history);
+      return entry.permalink;
+    } catch (e) {
+      console.warn('Permalink failed', e);
+      return entry.url && entry.url !== '#' ? entry.url : location.origin;
+    }
+  }
+
+  async function copyCurrent() {
+    if (!state.currentHaiku || !state.currentEntry) return;
+    const link = await ensurePermalink(state.currentEntry);
+    copyText(`${state.currentHaiku}\n\n${state.current.title}\n${link}`);
+  }
+
+  // Popup blockers only allow windows opened synchronously from the click,
+  // so open a blank one first and point it at the share URL once ready.
+  async function openShare(buildUrl) {
+    const win = window.open('', '_blank');
+    const link = await ensurePermalink(state.currentEntry);
+    const url = buildUrl(link);
+    if (win) win.location.href = url;
+    else window.open(url, '_blank');
   }
 
   function shareTwitter() {
-    if (!state.currentHaiku || !state.current) return;
-    const url = new URL('https://twitter.com/intent/tweet');
-    url.searchParams.set('text', `${state.currentHaiku}\n\n${state.current.title}`);
-    url.searchParams.set('url', state.current.url);
-    window.open(url.toString(), '_blank');
+    if (!state.currentHaiku || !state.currentEntry) return;
+    openShare(link => {
+      const url = new URL('https://twitter.com/intent/tweet');
+      url.searchParams.set('text', `${state.currentHaiku}\n\n${state.current.title}`);
+      url.searchParams.set('url', link);
+      return url.toString();
+    });
   }
 
   function shareFacebook() {
-    if (!state.current) return;
-    const url = new URL('https://www.facebook.com/sharer/sharer.php');
-    url.searchParams.set('u', state.current.url);
-    window.open(url.toString(), '_blank');
+    if (!state.currentEntry) return;
+    openShare(link => {
+      const url = new URL('https://www.facebook.com/sharer/sharer.php');
+      url.searchParams.set('u', link);
+      return url.toString();
+    });
+  }
+
+  // Export / import
+  const LISTS = {
+    history: { titleKey: 'lists.historyTitle', storeKey: 'nh.history' },
+    favorites: { titleKey: 'lists.favoritesTitle', max: MAX_FAVORITES, storeKey: 'nh.favorites' },
+  };
+  const EXPORT_VERSION = 1;
+
+  function download(filename, data, type) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function exportName(list, ext) {
+    return `inhaiku-${list}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+  }
+
+  const poemCount = n => t('export.poems', { count: n });
+
+  function entryLabel(e) {
+    return [e.source, e.country, e.category, e.haikuLang].filter(Boolean).join(' · ');
+  }
+
+  function toMarkdown(list, entries) {
+    const mdEscape = s => String(s).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+    const parts = [`# inhaiku.lt — ${t(LISTS[list].titleKey)}`, '', `_${poemCount(entries.length)}, ${t('export.exported', { date: i18n.formatDateTime(new Date()) })}_`, ''];
+    for (const e of entries) {
+      const title = mdEscape(e.title);
+      parts.push(`## ${e.url && e.url !== '#' ? `[${title}](${e.url})` : title}`, '');
+      parts.push(e.haiku.split('\n').map(mdEscape).join('  \n'), '');
+      if (e.gloss) parts.push([e.gloss.headline, ...(e.gloss.haiku ? e.gloss.haiku.split('\n') : [])].map(l => `> _${mdEscape(l)}_`).join('  \n'), '');
+      parts.push(`— ${mdEscape(entryLabel(e))} · ${i18n.formatDateTime(e.createdAt)}`, '', '---', '');
+    }
+    return parts.join('\n');
+  }
+
+  // Plain-text "chapbook": one poem per page, separated by form feeds so it
+  // prints page by page.
+  function toChapbook(list, entries) {
+    const width = 48;
+    const center = s => ' '.repeat(Math.max(0, Math.floor((width - s.length) / 2))) + s;
+    const cover = ['', '', '', center('NEWS HAIKU'), center(t(LISTS[list].titleKey).toLowerCase()), '', center(poemCount(entries.length)), center(i18n.formatDate(new Date())), ''];
+    const pages = entries.map((e, i) => [
+      '', center(`${i + 1}`), '', '',
+      ...e.haiku.split('\n').map(center),
+      '', '',
+      center('*'),
+      '',
+      ...(e.title.match(new RegExp(`.{1,${width - 4}}(\\s|$)`, 'g')) || [e.title]).map(l => center(l.trim())),
+      center(entryLabel(e)),
+      '',
+    ].join('\n'));
+    return [cover.join('\n'), ...pages, `\n${center('inhaiku.lt')}\n`].join('\n\f\n');
+  }
+
+  async function exportList(list, format) {
+    const entries = list === 'history'
+      ? (await allHistory()).map(({ archived, ...e }) => e)
+      : state.favorites;
+    if (!entries.length) return toast(t('toast.nothingToExport'));
+    if (format === 'json') {
+      const doc = { app: 'inhaiku.lt', version: EXPORT_VERSION, list, exportedAt: new Date().toISOString(), entries };
+      download(exportName(list, 'json'), JSON.stringify(doc, null, 2), 'application/json');
+    } else if (format === 'md') {
+      download(exportName(list, 'md'), toMarkdown(list, entries), 'text/markdown');
+    } else {
+      download(exportName(list, 'txt'), toChapbook(list, entries), 'text/plain');
+    }
+  }
+
+  // Keeps only known fields with the right types; returns null when the entry
+  // is missing the poem or headline.
+  function sanitizeEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const str = (v, max) => (typeof v === 'string' ? v.slice(0, max) : '');
+    const title = str(raw.title, 300).trim();
+    const haiku = str(raw.haiku, 600).trim();
+    if (!title || !haiku) return null;
+    const createdAt = Number.isFinite(Date.parse(raw.createdAt)) ? new Date(raw.createdAt).toISOString() : new Date().toISOString();
+    const url = /^https?:\/\//i.test(raw.url) ? str(raw.url, 2000) : '#';
+    const entry = {
+      title,
+      source: str(raw.source, 80),
+      url,
+      haiku,
+      createdAt,
+      country: /^[A-Z]{2}$/.test(raw.country) ? raw.country : '',
+      category: CATS.includes(raw.category) ? raw.category : '',
+      haikuLang: str(raw.haikuLang, 10),
+      style: STYLES.includes(raw.style) ? raw.style : 'classic',
+      form: FORMS.includes(raw.form) ? raw.form : 'haiku',
+      publishedAt: Number.isFinite(Date.parse(raw.publishedAt)) ? raw.publishedAt : null,
+      image: /^https?:\/\//i.test(raw.image) ? str(raw.image, 2000) : null,
+    };
+    if (Array.isArray(raw.syllables) && raw.syllables.every(Number.isFinite)) entry.syllables = raw.syllables;
+    if (typeof raw.strict === 'boolean') entry.strict = raw.strict;
+    if (raw.sensitive === true) entry.sensitive = true;
+    if (typeof raw.permalink === 'string' && /^https?:\/\//i.test(raw.permalink)) entry.permalink = raw.permalink;
+    if (raw.gloss && typeof raw.gloss.headline === 'string') {
+      entry.gloss = {
+        lang: str(raw.gloss.lang, 10),
+        headline: str(raw.gloss.headline, 300),
+        haiku: typeof raw.gloss.haiku === 'string' ? str(raw.gloss.haiku, 600) : null,
+      };
+    }
+    return entry;
+  }
+
+  async function importList(list, file) {
+    let doc;
+    try {
+      doc = JSON.parse(await file.text());
+    } catch {
+      return toast(t('toast.importNotJson'), 2500);
+    }
+    const rawEntries = Array.isArray(doc) ? doc : doc?.entries;
+    if (!Array.isArray(rawEntries) || (!Array.isArray(doc) && doc.app !== 'inhaiku.lt')) {
+      return toast(t('toast.importNotExport'), 2500);
+    }
+    if (!Array.isArray(doc) && doc.version > EXPORT_VERSION) {
+      return toast(t('toast.importNewer'), 2500);
+    }
+    const valid = rawEntries.map(sanitizeEntry).filter(Boolean);
+    const existing = list === 'history' ? await allHistory() : state.favorites;
+    const seen = new Set(existing.map(entryKey));
+    const added = valid.filter(e => {
+      const key = entryKey(e);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    const merged = [...state[list], ...added].sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    if (list === 'history') {
+      state.history = merged.slice(0, state.historyCap);
+      archiveOverflow(merged.slice(state.historyCap));
+    } else {
+      state.favorites = merged.slice(0, MAX_FAVORITES);
+    }
+    store.set(LISTS[list].storeKey, state[list]);
+    renderModalList(list);
+    const skipped = rawEntries.length - valid.length;
+    toast(t('toast.imported', { count: added.length }) + (skipped ? t('toast.importSkipped', { count: skipped }) : ''), 2500);
+  }
+
+  function wrapCanvasText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/)) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  // Same layout and palette as the server-side share card (lib/card.js), drawn
+  // client-side so it works offline and for any script.
+  async function downloadEntryImage(entry) {
+    const W = 1200, H = 630;
+    const canvas = document.createElement('canvas');
+    canvas.width = W;
+    canvas.height = H;
+    const ctx = canvas.getContext('2d');
+    try { await document.fonts.load('64px VT323'); } catch {}
+    ctx.fillStyle = '#3a5338';
+    ctx.fillRect(0, 0, W, H);
+    ctx.fillStyle = '#b9e88c';
+    ctx.fillRect(16, 16, W - 32, H - 32);
+    ctx.fillStyle = '#aedc82';
+    for (let y = 16; y < H - 16; y += 4) ctx.fillRect(16, y, W - 32, 1);
+
+    ctx.fillStyle = '#10390b';
+    ctx.font = '34px VT323, monospace';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText('NEWS HAIKU', 56, 76);
+    ctx.textAlign = 'right';
+    ctx.fillText('inhaiku.lt', W - 56, 76);
+
+    const poem = entry.haiku.split('\n');
+    let size = 72;
+    ctx.font = `${size}px VT323, monospace`;
+    const widest = Math.max(...poem.map(l => ctx.measureText(l).width));
+    if (widest > W - 160) size = Math.floor(size * (W - 160) / widest);
+    ctx.font = `${size}px VT323, monospace`;
+    ctx.textAlign = 'center';
+    const lineHeight = size * 1.25;
+    const top = (H - lineHeight * poem.length) / 2 + size * 0.6;
+    poem.forEach((l, i) => ctx.fillText(l, W / 2, top + i * lineHeight));
+
+    ctx.textAlign = 'left';
+    ctx.font = '28px VT323, monospace';
+    wrapCanvasText(ctx, entry.title, W - 112).slice(0, 2).forEach((l, i) => ctx.fillText(l, 56, H - 96 + i * 30));
+    ctx.textAlign = 'right';
+    ctx.globalAlpha = 0.7;
+    ctx.fillText(entryLabel(entry), W - 56, H - 40);
+
+    canvas.toBlob(blob => {
+      if (blob) download(`inhaiku-${new Date(entry.createdAt).toISOString().slice(0, 10)}.png`, blob);
+      else toast(t('toast.imageFailed'));
+    }, 'image/png');
   }
 
   // Theme + sound
@@ -432,7 +1342,288 @@
     state.sound = !state.sound;
     store.set('nh.sound', state.sound);
     renderIndicator();
-    toast(state.sound ? 'Sound: on' : 'Sound: off');
+    toast(t(state.sound ? 'toast.soundOn' : 'toast.soundOff'));
+  }
+
+  // Read aloud: the Web Speech voice for the poem's language, line by line
+  // with a pause in between. Without such a voice (or in chiptune mode) the
+  // poem is played as a melody on the beeper's AudioContext instead.
+  let reading = null; // { stopped, stop() } for the recitation in progress
+  let voicesReady;
+
+  function loadVoices() {
+    if (!('speechSynthesis' in window)) return Promise.resolve([]);
+    const voices = speechSynthesis.getVoices();
+    if (voices.length) return Promise.resolve(voices);
+    voicesReady ??= new Promise(resolve => {
+      const done = () => resolve(speechSynthesis.getVoices());
+      speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+      setTimeout(done, 1500); // some browsers never fire voiceschanged
+    });
+    return voicesReady;
+  }
+
+  // Exact tag first (zh-TW), then any voice for the base language; Norwegian
+  // voices are usually tagged nb.
+  function findVoice(voices, lang) {
+    const norm = tag => String(tag || '').replace('_', '-').toLowerCase();
+    const want = norm(lang);
+    const bases = want === 'no' ? ['no', 'nb'] : [want.split('-')[0]];
+    return voices.find(v => norm(v.lang) === want)
+      || voices.find(v => bases.includes(norm(v.lang).split('-')[0]))
+      || null;
+  }
+
+  const wait = ms => new Promise(r => setTimeout(r, ms));
+
+  function speakLine(text, voice) {
+    return new Promise((resolve, reject) => {
+      const u = new SpeechSynthesisUtterance(text);
+      u.voice = voice;
+      u.lang = voice.lang;
+      u.rate = state.speechRate;
+      u.volume = state.volume;
+      u.onend = resolve;
+      // cancel() from stopReading ends the utterance with one of these
+      u.onerror = e => (['interrupted', 'canceled'].includes(e.error) ? resolve() : reject(new Error(e.error)));
+      speechSynthesis.speak(u);
+    });
+  }
+
+  // Rough syllable count for poems without server counts: one per CJK
+  // character, otherwise one per vowel group.
+  function estimateSyllables(line) {
+    const cjk = line.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu);
+    if (cjk) return cjk.length;
+    const groups = line.toLowerCase().match(/[aeiouyąęėįųūàáâãäåæèéêëìíîïòóôõöøùúûüýœаеёиоуыэюяіїєαεηιουωάέήίόύώ]+/gu);
+    return Math.max(1, groups?.length || line.split(/\s+/).length);
+  }
+
+  // One square-wave note per syllable on a pentatonic scale, pitch taken from
+  // the letters of the line and the last syllable held twice as long; the poem
+  // resolves on the root. Deterministic, so the WAV matches what was played.
+  const PENTATONIC = [0, 2, 4, 7, 9, 12, 14, 16];
+  function chiptuneNotes(entry) {
+    const beat = 0.18 / state.speechRate;
+    const lines = entry.haiku.split('\n');
+    const last = lines.findLastIndex(l => l.trim());
+    const notes = [];
+    let at = 0.05;
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      const count = entry.syllables?.[i] || estimateSyllables(line);
+      const chars = [...line.replace(/\s+/g, '')];
+      for (let n = 0; n < count; n++) {
+        const code = chars[Math.floor(n * chars.length / count)].codePointAt(0);
+        const held = n === count - 1;
+        const step = held && i === last ? 0 : PENTATONIC[code % PENTATONIC.length];
+        const dur = beat * (held ? 2 : 1);
+        notes.push({ freq: 523.25 * 2 ** (step / 12), at, dur: dur * 0.85 });
+        at += dur;
+      }
+      at += state.linePause / 1000;
+    });
+    return { notes, duration: at };
+  }
+
+  // Schedules the notes on any (Offline)AudioContext; returns the output node
+  function scheduleNotes(ctx, notes) {
+    const out = ctx.createGain();
+    out.gain.value = state.volume;
+    out.connect(ctx.destination);
+    const start = ctx.currentTime;
+    notes.forEach(({ freq, at, dur }) => {
+      const o = ctx.createOscillator();
+      const g = ctx.createGain();
+      o.type = 'square';
+      o.frequency.setValueAtTime(freq, start + at);
+      g.gain.setValueAtTime(0.0001, start + at);
+      g.gain.exponentialRampToValueAtTime(0.12, start + at + 0.01);
+      g.gain.exponentialRampToValueAtTime(0.0001, start + at + dur);
+      o.connect(g).connect(out);
+      o.start(start + at);
+      o.stop(start + at + dur + 0.02);
+    });
+    return out;
+  }
+
+  async function playChiptune(entry, session) {
+    const ctx = audio();
+    await ctx.resume();
+    const { notes, duration } = chiptuneNotes(entry);
+    const out = scheduleNotes(ctx, notes);
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, duration * 1000);
+      session.stop = () => { clearTimeout(timer); out.disconnect(); resolve(); };
+    });
+  }
+
+  function setReadButton(on) {
+    els.readButton.textContent = t(on ? 'buttons.stopReading' : 'buttons.readAloud');
+    els.readButton.classList.toggle('active', on);
+  }
+
+  async function readAloud() {
+    if (reading) return stopReading();
+    const entry = state.currentEntry;
+    if (!entry) return toast(t('toast.nothingToRead'));
+    const session = { stopped: false };
+    reading = session;
+    setReadButton(true);
+    try {
+      const lines = entry.haiku.split('\n').filter(l => l.trim());
+      const voice = state.readMode === 'speech' ? findVoice(await loadVoices(), entry.haikuLang) : null;
+      if (voice) {
+        for (const [i, line] of lines.entries()) {
+          if (i) await wait(state.linePause);
+          if (session.stopped) break;
+          await speakLine(line, voice);
+        }
+      } else {
+        if (state.readMode === 'speech') toast(t('toast.noVoice', { lang: langName(entry.haikuLang) }), 2500);
+        await playChiptune(entry, session);
+      }
+    } catch (e) {
+      console.warn('Read aloud failed', e);
+      toast(t('toast.readFailed'));
+    } finally {
+      if (reading === session) {
+        reading = null;
+        setReadButton(false);
+      }
+    }
+  }
+
+  function stopReading() {
+    if (!reading) return;
+    reading.stopped = true;
+    reading.stop?.();
+    if ('speechSynthesis' in window) speechSynthesis.cancel();
+    reading = null;
+    setReadButton(false);
+  }
+
+  // The chiptune recitation rendered offline as 16-bit mono PCM
+  async function exportRecitation() {
+    const entry = state.currentEntry;
+    if (!entry) return toast(t('toast.nothingToRead'));
+    try {
+      const sampleRate = 22050;
+      const { notes, duration } = chiptuneNotes(entry);
+      const ctx = new OfflineAudioContext(1, Math.ceil((duration + 0.3) * sampleRate), sampleRate);
+      scheduleNotes(ctx, notes);
+      const buffer = await ctx.startRendering();
+      download(`inhaiku-${new Date(entry.createdAt).toISOString().slice(0, 10)}.wav`, encodeWav(buffer));
+    } catch (e) {
+      console.warn('WAV export failed', e);
+      toast(t('toast.wavFailed'));
+    }
+  }
+
+  function encodeWav(buffer) {
+    const samples = buffer.getChannelData(0);
+    const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+    const ascii = (at, s) => [...s].forEach((c, i) => view.setUint8(at + i, c.charCodeAt(0)));
+    ascii(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    ascii(8, 'WAVE');
+    ascii(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // mono
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * 2, true); // bytes per second
+    view.setUint16(32, 2, true); // bytes per frame
+    view.setUint16(34, 16, true); // bits per sample
+    ascii(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    samples.forEach((s, i) => view.setInt16(44 + i * 2, Math.max(-1, Math.min(1, s)) * 0x7fff, true));
+    return new Blob([view], { type: 'audio/wav' });
+  }
+
+  // Custom mode: a headline typed in, or an article link read by /api/article
+  // (title, description and site name) and then treated like any headline.
+  async function customItem(text) {
+    if (!/^https?:\/\/\S+$/i.test(text)) {
+      return { title: text.replace(/\s+/g, ' ').slice(0, 300), source: t('custom.source'), url: '#' };
+    }
+    const r = await fetch(`/api/article?url=${encodeURIComponent(text)}`);
+    if (r.status === 429) throw rateLimitError(r);
+    const data = await r.json();
+    if (!r.ok) {
+      const err = new Error(data.error || 'Article fetch failed');
+      err.code = data.code;
+      throw err;
+    }
+    return {
+      title: data.title,
+      summary: data.description || '',
+      source: data.source,
+      url: data.url,
+      image: data.image || null,
+      publishedAt: data.publishedAt || null,
+      // <html lang> of the page, reduced to the base code ("en-GB" -> "en")
+      lang: /^[a-z]{2,3}(?![a-z])/i.exec(data.lang || '')?.[0].toLowerCase(),
+    };
+  }
+
+  async function submitCustom() {
+    const text = els.customInput.value.trim();
+    if (!text) return toast(t('toast.customEmpty'));
+    if (state.typing) return;
+    const submit = $('[type="submit"]', els.customForm);
+    let item;
+    try {
+      submit.disabled = true;
+      item = await customItem(text);
+    } catch (e) {
+      console.warn(e);
+      return toast(e.code === 'rate_limited' ? t('toast.slowDown', { seconds: e.retryAfter }) : t('toast.articleFailed'), 2500);
+    } finally {
+      submit.disabled = false;
+    }
+    els.customInput.value = '';
+    closeModals();
+    newHaiku(item);
+  }
+
+  // Sound settings panel
+  function renderSoundPanel() {
+    els.keyClicks.checked = state.sound;
+    els.volumeRange.value = String(state.volume);
+    els.readModeSelect.value = state.readMode;
+    els.rateRange.value = String(state.speechRate);
+    els.pauseRange.value = String(state.linePause);
+    els.rateRange.nextElementSibling.textContent = `×${state.speechRate.toFixed(1)}`;
+    els.pauseRange.nextElementSibling.textContent = t('sound.ms', { value: state.linePause });
+  }
+
+  // Interface language: static markup via data-i18n, everything rendered
+  // from script is drawn again.
+  function setUiLang(code) {
+    state.uiLang = i18n.setLocale(code);
+    store.set('nh.uiLang', state.uiLang);
+    i18n.translateDom();
+    renderSelectors();
+    renderCategoryChips();
+    renderIndicator();
+    updateClock();
+    els.menuKey.textContent = t(state.menuOpen ? 'buttons.select' : 'buttons.list');
+    setReadButton(!!reading);
+    renderSoundPanel();
+    renderGloss(state.currentEntry);
+    if (state.currentEntry) setFavoriteButtonActive(isFavorited(state.currentEntry));
+    if (!state.current) showIntro();
+    else if (state.currentEntry) renderSyllables(els.haiku, state.currentHaiku, state.currentEntry.syllables);
+    if (state.current) renderHeadlineMeta(state.current);
+    if (els.historyModal.style.display === 'block') renderModalList('history');
+    if (els.favoritesModal.style.display === 'block') renderModalList('favorites');
+    toast(t('toast.uiLang', { name: i18n.catalogName(state.uiLang) }));
+  }
+
+  function showIntro() {
+    els.headline.textContent = t('intro.headline');
+    els.haiku.textContent = t('intro.haiku');
   }
 
   // Events
@@ -441,16 +1632,41 @@
     if (!act || (state.typing && act !== 'toggle-theme' && act !== 'copy')) return;
 
     if (act === 'new-haiku') newHaiku();
+    // Soft keys: prev/next headline, or move the cursor while the menu is open
+    if (act === 'prev-headline') state.menuOpen ? moveMenu(-1) : stepHeadline(-1);
+    if (act === 'next-headline') state.menuOpen ? moveMenu(1) : stepHeadline(1);
+    if (act === 'headline-menu') state.menuOpen ? selectMenu() : openMenu();
     if (act === 'toggle-theme') toggleTheme();
     if (act === 'toggle-favorites') {
-      renderList(els.favoritesList, state.favorites, 'Nothing here yet.');
+      renderModalList('favorites');
       openModal(els.favoritesModal);
     }
     if (act === 'show-history') {
-      renderList(els.historyList, state.history, 'History is empty.');
+      renderModalList('history');
       openModal(els.historyModal);
     }
+    if (act === 'export') {
+      const btn = e.target.closest('[data-action]');
+      exportList(btn.dataset.list, btn.dataset.format);
+    }
+    if (act === 'bulk-favorite' || act === 'bulk-remove') bulkAction(e.target.closest('[data-action]').dataset.list, act);
+    if (act === 'import') $(`.import-input[data-list="${e.target.closest('[data-action]').dataset.list}"]`).click();
     if (act === 'copy') copyCurrent();
+    if (act === 'read-aloud') readAloud();
+    if (act === 'toggle-gloss') {
+      state.showGloss = !state.showGloss;
+      store.set('nh.showGloss', state.showGloss);
+      renderGloss(state.currentEntry);
+    }
+    if (act === 'export-wav') exportRecitation();
+    if (act === 'custom-haiku') {
+      openModal(els.customModal);
+      els.customInput.focus();
+    }
+    if (act === 'sound-settings') {
+      renderSoundPanel();
+      openModal(els.soundModal);
+    }
     if (act === 'share-twitter') shareTwitter();
     if (act === 'share-facebook') shareFacebook();
     if (act === 'favorite-current') toggleFavoriteCurrent();
@@ -460,28 +1676,174 @@
   els.countrySelect.addEventListener('change', async () => {
     state.country = els.countrySelect.value;
     store.set('nh.country', state.country);
+    syncUrl();
     // if language is auto, no change; otherwise leave manual override
     renderIndicator();
     state.headlines = [];
+    state.seen.clear();
     state.lastFetchedAt = 0;
     await ensureHeadlines();
-    toast(`Country: ${COUNTRIES.find(([c]) => c === state.country)?.[1]}`);
+    toast(t('toast.country', { name: countryName(state.country) }));
   });
 
   els.langSelect.addEventListener('change', () => {
     state.haikuLang = els.langSelect.value;
     store.set('nh.lang', state.haikuLang);
+    syncUrl();
+    renderIndicator();
+    toast(state.haikuLang === 'auto' ? t('toast.haikuLangAuto') : t('toast.haikuLang', { name: els.langSelect.selectedOptions[0].textContent }));
+  });
+
+  els.styleSelect.addEventListener('change', () => {
+    state.style = els.styleSelect.value;
+    store.set('nh.style', state.style);
+    syncUrl();
+    renderIndicator();
+    toast(t('toast.style', { name: els.styleSelect.selectedOptions[0].textContent }));
+  });
+
+  els.formSelect.addEventListener('change', () => {
+    state.form = els.formSelect.value;
+    store.set('nh.form', state.form);
+    syncUrl();
+    renderIndicator();
+    toast(t('toast.form', { name: els.formSelect.selectedOptions[0].textContent }));
+  });
+
+  els.uiLangSelect.addEventListener('change', () => setUiLang(els.uiLangSelect.value));
+
+  els.readerLangSelect.addEventListener('change', () => {
+    state.readerLang = els.readerLangSelect.value;
+    store.set('nh.readerLang', state.readerLang);
+    toast(state.readerLang ? t('toast.readerLang', { name: langName(state.readerLang) }) : t('toast.readerLangOff'));
+  });
+
+  els.sensitiveSelect.addEventListener('change', async () => {
+    state.sensitiveMode = els.sensitiveSelect.value;
+    store.set('nh.sensitive', state.sensitiveMode);
+    toast(t('toast.sensitive', { name: els.sensitiveSelect.selectedOptions[0].textContent }));
+    // skipping changes which headlines are in the list
+    state.headlines = [];
+    state.seen.clear();
+    state.lastFetchedAt = 0;
+    await ensureHeadlines();
+  });
+
+  els.customForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitCustom();
+  });
+  // Enter submits, Shift+Enter adds a line
+  els.customInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submitCustom();
+    }
+  });
+
+  els.keyClicks.addEventListener('change', () => {
+    state.sound = els.keyClicks.checked;
+    store.set('nh.sound', state.sound);
     renderIndicator();
-    toast(state.haikuLang === 'auto' ? 'Haiku language: Auto' : `Haiku language: ${els.langSelect.selectedOptions[0].textContent}`);
   });
 
-  // Keyboard shortcuts
+  [
+    [els.volumeRange, 'volume', 'nh.volume'],
+    [els.rateRange, 'speechRate', 'nh.speechRate'],
+    [els.pauseRange, 'linePause', 'nh.linePause'],
+  ].forEach(([input, key, storeKey]) => {
+    input.addEventListener('input', () => {
+      state[key] = Number(input.value);
+      renderSoundPanel();
+    });
+    input.addEventListener('change', () => store.set(storeKey, state[key]));
+  });
+
+  els.readModeSelect.addEventListener('change', () => {
+    state.readMode = els.readModeSelect.value;
+    store.set('nh.readMode', state.readMode);
+  });
+
+  $$('.list-search').forEach(input => {
+    input.addEventListener('input', () => {
+      views[input.dataset.list].query = input.value;
+      renderModalList(input.dataset.list);
+    });
+  });
+
+  $$('.list-sort').forEach(select => {
+    select.addEventListener('change', () => {
+      views[select.dataset.list].sort = select.value;
+      renderModalList(select.dataset.list);
+    });
+  });
+
+  $$('.select-all').forEach(box => {
+    box.addEventListener('change', () => {
+      const view = views[box.dataset.list];
+      view.visible.forEach(e => (box.checked ? view.selected.add(entryKey(e)) : view.selected.delete(entryKey(e))));
+      renderModalList(box.dataset.list);
+    });
+  });
+
+  els.historyCapSelect.innerHTML = HISTORY_CAPS.map(n => `<option value="${n}">${n}</option>`).join('');
+  els.historyCapSelect.value = String(state.historyCap);
+  els.historyCapSelect.addEventListener('change', () => setHistoryCap(Number(els.historyCapSelect.value)));
+
+  $$('.import-input').forEach(input => {
+    input.addEventListener('change', () => {
+      const [file] = input.files;
+      if (file) importList(input.dataset.list, file);
+      input.value = '';
+    });
+  });
+
+  // Keyboard: n/c/s/t shortcuts, ←/→ previous/next headline, ↑/↓ or m opens
+  // the headline menu; inside it ↑/↓/Home/End move, Enter picks, Esc backs out.
+  function menuKeys(e) {
+    const n = state.headlines.length;
+    const keys = {
+      ArrowDown: () => moveMenu(1),
+      ArrowUp: () => moveMenu(-1),
+      PageDown: () => moveMenu(5),
+      PageUp: () => moveMenu(-5),
+      Home: () => moveMenu(-n),
+      End: () => moveMenu(n),
+      Enter: () => selectMenu(),
+      ' ': () => selectMenu(),
+      Escape: closeMenu,
+      Backspace: closeMenu,
+    };
+    if (/^[1-9]$/.test(e.key) && Number(e.key) <= n) return selectMenu(Number(e.key) - 1), true;
+    if (!keys[e.key]) return false;
+    keys[e.key]();
+    return true;
+  }
+
   window.addEventListener('keydown', (e) => {
-    if (e.key.toLowerCase() === 's') toggleSound();  // sound toggle
-    if (e.key.toLowerCase() === 'n') newHaiku();     // new haiku
-    if (e.key.toLowerCase() === 'c') copyCurrent();  // copy
-    if (e.key.toLowerCase() === 't') toggleTheme();  // theme
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
     if (e.key === 'Escape') closeModals();
+    // leave typing in search boxes and selects alone
+    if (e.target.closest?.('input, select, textarea, [contenteditable="true"]')) return;
+    if (modals().some(m => m.style.display === 'block')) return;
+    if (state.menuOpen) {
+      if (menuKeys(e)) e.preventDefault();
+      return;
+    }
+    const key = e.key.toLowerCase();
+    if (key === 's') toggleSound();  // sound toggle
+    if (key === 'n') newHaiku();     // new haiku
+    if (key === 'c') copyCurrent();  // copy
+    if (key === 't') toggleTheme();  // theme
+    if (key === 'r') readAloud();    // read aloud
+    if (key === 'm' || e.key === 'ArrowUp' || e.key === 'ArrowDown') { e.preventDefault(); openMenu(); }
+    if (e.key === 'ArrowLeft') stepHeadline(-1);
+    if (e.key === 'ArrowRight') stepHeadline(1);
+  });
+
+  els.headlineMenu.addEventListener('click', (e) => {
+    const li = e.target.closest('.menu-item');
+    if (li) selectMenu(Number(li.dataset.i));
   });
 
   // Open headline link on click
@@ -489,15 +1851,96 @@
     if (state.current?.url && state.current.url !== '#') window.open(state.current.url, '_blank');
   });
 
+  // Connectivity
+  window.addEventListener('online', () => {
+    state.online = true;
+    renderIndicator();
+    toast(t('toast.backOnline'));
+    drainQueue();
+  });
+  window.addEventListener('offline', () => {
+    state.online = false;
+    renderIndicator();
+  });
+
+  if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register('/sw.js').catch(e => console.warn('Service worker registration failed', e));
+    });
+  }
+
+  // Kiosk loop
+  let wakeLock = null;
+  async function keepAwake() {
+    if (!('wakeLock' in navigator) || wakeLock || document.visibilityState !== 'visible') return;
+    try {
+      wakeLock = await navigator.wakeLock.request('screen');
+      wakeLock.addEventListener('release', () => { wakeLock = null; });
+    } catch (e) {
+      console.warn('Wake lock unavailable', e);
+    }
+  }
+
+  const nextOf = (list, current) => list[(list.indexOf(current) + 1) % list.length];
+
+  // The next headline nobody has seen yet; once a list is used up its titles
+  // are forgotten so the screen never goes blank.
+  function pickForKiosk() {
+    let fresh = state.headlines.filter(h => !kiosk.shown.has(h.title));
+    if (!fresh.length) {
+      state.headlines.forEach(h => kiosk.shown.delete(h.title));
+      fresh = state.headlines;
+    }
+    const item = pickRandom(fresh);
+    kiosk.shown.add(item.title);
+    if (kiosk.shown.size > MAX_KIOSK_SHOWN) kiosk.shown.delete(kiosk.shown.values().next().value);
+    return item;
+  }
+
+  async function kioskTick(advance) {
+    if (state.typing) return;
+    if (advance && kiosk.cycle !== 'none') {
+      if (kiosk.cycle === 'category') state.category = nextOf(kiosk.categories.length ? kiosk.categories : CATS, state.category);
+      else state.country = nextOf(kiosk.countries.length ? kiosk.countries : COUNTRIES.map(([c]) => c), state.country);
+      state.headlines = [];
+      state.seen.clear();
+      state.lastFetchedAt = 0;
+      renderCategoryChips();
+    }
+    await ensureHeadlines();
+    if (!state.headlines.length) return newHaiku(); // offline: replays history
+    await newHaiku(pickForKiosk());
+  }
+
+  function startKiosk() {
+    document.documentElement.classList.add('kiosk');
+    state.sound = urlParams.get('sound') === '1'; // for this visit only
+    if (kiosk.categories.length && !kiosk.categories.includes(state.category)) state.category = kiosk.categories[0];
+    if (kiosk.countries.length && !kiosk.countries.includes(state.country)) state.country = kiosk.countries[0];
+    keepAwake();
+    document.addEventListener('visibilitychange', keepAwake);
+    const loop = async (advance) => {
+      try {
+        await kioskTick(advance);
+      } catch (e) {
+        console.warn('Kiosk tick failed', e);
+      }
+      setTimeout(() => loop(true), kiosk.interval);
+    };
+    loop(false);
+  }
+
   // Initial render
   renderSelectors();
   renderCategoryChips();
   renderIndicator();
+  syncUrl();
   setSkeleton(true);
   els.headline.classList.remove('skeleton');
-  els.headline.textContent = 'Tap Generate...';
   els.haiku.classList.remove('skeleton');
-  els.haiku.textContent = '...and turn a headline\ninto a 3-line poem';
+  showIntro();
+  drainQueue();
+  if (kiosk) startKiosk();
 
 })();
 
@@ -0,0 +1,93 @@
+// sw.js — offline support: precached app shell, last /api/news per country/category
+const VERSION = 'v3';
+const SHELL_CACHE = `inhaiku-shell-${VERSION}`;
+const NEWS_CACHE = 'inhaiku-news';
+const FONT_CACHE = 'inhaiku-fonts';
+const SHELL = [
+  '/',
+  '/css/styles.css',
+  '/js/i18n.js',
+  '/js/locales/en.js',
+  '/js/locales/lt.js',
+  '/js/main.js',
+  '/site.webmanifest',
+  '/favicon.ico',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, NEWS_CACHE, FONT_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// One entry per country/category/lang, whatever else is in the query string
+function newsKey(url) {
+  const key = new URL('/api/news', url.origin);
+  for (const p of ['country', 'category', 'lang']) {
+    if (url.searchParams.has(p)) key.searchParams.set(p, url.searchParams.get(p));
+  }
+  return key.toString();
+}
+
+async function networkFirst(request, cacheName, key) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(key, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName, key = request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(key);
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(key, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname === '/api/news') {
+    event.respondWith(networkFirst(request, NEWS_CACHE, newsKey(url)));
+    return;
+  }
+  // Other API routes, permalinks and digests are live data.
+  if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/h/') || url.pathname.startsWith('/digest')) return;
+  // The widget iframe is its own page, not the app.
+  if (url.pathname.startsWith('/embed')) return;
+  // The app is a single page at / (the query string only holds settings).
+  // Other navigations, e.g. /openapi.json or /site.webmanifest, go to the
+  // network and must not replace the cached shell.
+  if (request.mode === 'navigate') {
+    if (url.pathname !== '/' && url.pathname !== '/index.html') return;
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, '/'));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+});
@@ -0,0 +1,198 @@
+// server.js - local development server: serves public/ and mounts api/*.js
+// with the Vercel request/response helpers the handlers rely on.
+import { createServer as createHttpServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('.', import.meta.url));
+const MAX_BODY_BYTES = 1024 * 1024;
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+};
+
+// Vercel-style query: repeated keys become arrays.
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [k, v] of searchParams) {
+    if (k in query) query[k] = [].concat(query[k], v);
+    else query[k] = v;
+  }
+  return query;
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const err = new Error('Request body too large');
+      err.status = 413;
+      throw err;
+    }
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  if (!raw) return undefined;
+  const type = String(req.headers['content-type'] || '');
+  if (type.includes('application/json')) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      const err = new Error('Invalid JSON body');
+      err.status = 400;
+      throw err;
+    }
+  }
+  if (type.includes('application/x-www-form-urlencoded')) {
+    return parseQuery(new URLSearchParams(raw));
+  }
+  return raw;
+}
+
+function decorateResponse(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = body => {
+    if (body == null) return res.end();
+    if (Buffer.isBuffer(body)) {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+      return res.end(body);
+    }
+    if (typeof body === 'object') return res.json(body);
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.end(String(body));
+  };
+  res.redirect = (statusOrUrl, url) => {
+    const [code, location] = url === undefined ? [307, statusOrUrl] : [statusOrUrl, url];
+    res.statusCode = code;
+    res.setHeader('Location', location);
+    res.end();
+    return res;
+  };
+  return res;
+}
+
+// /api/haiku -> api/haiku.js or api/haiku/index.js; /api/haiku/batch -> api/haiku/batch.js
+async function resolveApiModule(root, pathname) {
+  const segments = pathname.replace(/^\/api\/?/, '').replace(/\/+$/, '').split('/');
+  if (!segments[0] || !segments.every(s => /^[\w-]+$/.test(s))) return null;
+  for (const file of [join(root, 'api', ...segments) + '.js', join(root, 'api', ...segments, 'index.js')]) {
+    try {
+      if ((await stat(file)).isFile()) return file;
+    } catch {}
+  }
+  return null;
+}
+
+// vercel.json rewrites, e.g. { source: '/h/:id', destination: '/api/permalink?id=:id' }.
+async function loadRewrites(root) {
+  let config;
+  try {
+    config = JSON.parse(await readFile(join(root, 'vercel.json'), 'utf8'));
+  } catch {
+    return [];
+  }
+  return (config.rewrites || []).map(({ source, destination }) => {
+    const names = [];
+    const pattern = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    return { re: new RegExp(`^${pattern}$`), names, destination };
+  });
+}
+
+function applyRewrites(rewrites, url) {
+  for (const { re, names, destination } of rewrites) {
+    const match = url.pathname.match(re);
+    if (!match) continue;
+    const target = new URL(names.reduce((d, name, i) => d.replaceAll(`:${name}`, encodeURIComponent(match[i + 1])), destination), url);
+    for (const [k, v] of url.searchParams) if (!target.searchParams.has(k)) target.searchParams.append(k, v);
+    return target;
+  }
+  return url;
+}
+
+async function serveStatic(root, pathname, res) {
+  const publicDir = join(root, 'public');
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    // A malformed escape such as /%E0%A4%A is the client's mistake, not a server error.
+    res.statusCode = 400;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end('Bad request');
+    return true;
+  }
+  let file = normalize(join(publicDir, decoded));
+  if (file !== publicDir && !file.startsWith(publicDir + sep)) return false;
+  try {
+    if ((await stat(file)).isDirectory()) file = join(file, 'index.html');
+    const body = await readFile(file);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', MIME[extname(file).toLowerCase()] || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.end(body);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function createServer({ root = ROOT } = {}) {
+  const rewrites = loadRewrites(root);
+  return createHttpServer(async (req, res) => {
+    decorateResponse(res);
+    try {
+      const url = applyRewrites(await rewrites, new URL(req.url, `http://${req.headers.host || 'localhost'}`));
+      if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+        const file = await resolveApiModule(root, url.pathname);
+        if (!file) return res.status(404).json({ error: 'Not found' });
+        req.query = parseQuery(url.searchParams);
+        req.body = await readBody(req);
+        const { default: handler } = await import(pathToFileURL(file).href);
+        await handler(req, res);
+        return;
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      if (await serveStatic(root, url.pathname, res)) return;
+      res.statusCode = 404;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end('Not found');
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(err);
+      if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+      else res.end();
+    }
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 3000;
+  createServer().listen(port, () => {
+    console.log(`inhaiku.lt dev server on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,148 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stubFetch } from './helpers.js';
+import { extractArticle, isPrivateAddress, pinnedLookup, resolveGoogleNewsLink } from '../lib/article.js';
+import { setArticleLookup, setArticleRateLimiter, setArticleStore } from '../api/article.js';
+import { createMemoryStore } from '../lib/cache.js';
+import { createRateLimiter } from '../lib/rate-limit.js';
+
+const STORY = 'https://www.example.com/world/storm-batters-coast';
+
+function html(body, status = 200, headers = {}) {
+  return new Response(body, { status, headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers } });
+}
+
+const ARTICLE_PAGE = `<!doctype html>
+<html lang="en-GB"><head>
+  <title>Storm batters the coast | Example Times</title>
+  <meta property="og:site_name" content="Example Times">
+  <meta property="og:title" content="Storm batters the Atlantic coast &amp; ports">
+  <meta name="description" content="Winds of 120 km/h closed three ports.">
+  <link rel="canonical" href="/world/storm-batters-coast">
+  <script type="application/ld+json">
+    {"@context":"https://schema.org","@graph":[{"@type":"NewsArticle","headline":"Storm batters coast","datePublished":"2024-05-01T06:00:00Z","image":["https://img.example.com/storm.jpg"],"publisher":{"@type":"Organization","name":"Example Times Ltd"}}]}
+  </script>
+</head><body><p>…</p></body></html>`;
+
+// 08 13 22 <len> <url> is how older Google News article ids carry the target
+function googleArticleId(url) {
+  const bytes = Buffer.from(url);
+  return Buffer.concat([Buffer.from([0x08, 0x13, 0x22, bytes.length]), bytes, Buffer.from([0xd2, 0x01, 0x00])]).toString('base64url');
+}
+
+describe('lib/article.js', () => {
+  it('resolves Google News links from ?url= and from article ids', () => {
+    assert.equal(resolveGoogleNewsLink(`https://news.google.com/rss/articles/x?url=${encodeURIComponent(STORY)}`), STORY);
+    assert.equal(resolveGoogleNewsLink(`https://news.google.com/rss/articles/${googleArticleId(STORY)}?oc=5`), STORY);
+    const opaque = 'https://news.google.com/rss/articles/AU_yqLOpaque?oc=5';
+    assert.equal(resolveGoogleNewsLink(opaque), opaque);
+    assert.equal(resolveGoogleNewsLink(STORY), STORY);
+  });
+
+  it('prefers Open Graph, then JSON-LD, then <title> without the site suffix', () => {
+    const a = extractArticle(ARTICLE_PAGE, STORY);
+    assert.equal(a.title, 'Storm batters the Atlantic coast & ports');
+    assert.equal(a.description, 'Winds of 120 km/h closed three ports.');
+    assert.equal(a.source, 'Example Times');
+    assert.equal(a.url, STORY);
+    assert.equal(a.image, 'https://img.example.com/storm.jpg');
+    assert.equal(a.publishedAt, '2024-05-01T06:00:00.000Z');
+    assert.equal(a.lang, 'en-GB');
+
+    const bare = extractArticle('<title>Ports reopen after storm – Harbour Daily</title><meta name="application-name" content="Harbour Daily">', 'https://harbour.example/ports');
+    assert.equal(bare.title, 'Ports reopen after storm');
+    assert.equal(bare.source, 'Harbour Daily');
+    assert.equal(extractArticle('<title>Ports reopen</title>', 'https://www.harbour.example/a').source, 'harbour.example');
+  });
+
+  it('treats loopback, private and link-local addresses as private', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '192.0.0.170', '198.18.0.1', '198.19.255.254', '::1', 'fd00::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ['93.184.216.34', '192.0.1.1', '198.20.0.1']) assert.equal(isPrivateAddress(ip), false, ip);
+  });
+
+  it('decodes IPv4 addresses carried in IPv6 and refuses NAT64 and Teredo', () => {
+    // what WHATWG URL makes of [::ffff:127.0.0.1] and [::ffff:169.254.169.254]
+    assert.equal(new URL('http://[::ffff:127.0.0.1]/').hostname, '[::ffff:7f00:1]');
+    for (const ip of ['::ffff:7f00:1', '::ffff:a9fe:a9fe', '::7f00:1', '2002:a00:1::1', '64:ff9b::5db8:d822', '64:ff9b:1::1', '2001:0:4136:e378:8000:63bf:f5ff:fffe', '2001::1', 'fe80::1%eth0']) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    assert.equal(isPrivateAddress('::ffff:5db8:d822'), false);
+    assert.equal(isPrivateAddress('2606:4700::1111'), false);
+    assert.equal(isPrivateAddress('2001:4860:4860::8888'), false);
+  });
+
+  it('pins connections to the checked address', () => {
+    const lookup = pinnedLookup('93.184.216.34');
+    lookup('rebind.example', {}, (err, address, family) => assert.deepEqual([err, address, family], [null, '93.184.216.34', 4]));
+    lookup('rebind.example', { all: true }, (err, list) => assert.deepEqual(list, [{ address: '93.184.216.34', family: 4 }]));
+  });
+});
+
+describe('/api/article', () => {
+  let server;
+  let stub;
+
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    setArticleStore(createMemoryStore());
+    setArticleRateLimiter(createRateLimiter({ capacity: 100 }));
+    setArticleLookup(async () => ['93.184.216.34']);
+  });
+
+  const get = url => fetch(`${server.base}/api/article?url=${encodeURIComponent(url)}`);
+
+  it('follows Google News redirects and interstitials to the article', async () => {
+    stub = stubFetch({
+      'news.google.com/rss/articles/AU_yqL': () => html('', 302, { Location: 'https://news.google.com/articles/AU_yqL?hl=en' }),
+      'news.google.com/articles/AU_yqL': () => html(`<html><body><c-wiz data-n-au="${STORY}"></c-wiz></body></html>`),
+      'example.com/world': () => html(ARTICLE_PAGE),
+    });
+    try {
+      const r = await get('https://news.google.com/rss/articles/AU_yqLOpaque?oc=5');
+      assert.equal(r.status, 200);
+      const body = await r.json();
+      assert.equal(body.title, 'Storm batters the Atlantic coast & ports');
+      assert.equal(body.source, 'Example Times');
+      assert.equal(body.url, STORY);
+      assert.equal(stub.calls.length, 3);
+      const again = await get('https://news.google.com/rss/articles/AU_yqLOpaque?oc=5');
+      assert.equal(again.headers.get('x-cache'), 'HIT');
+      assert.equal(stub.calls.length, 3);
+    } finally {
+      stub.restore();
+    }
+  });
+
+  it('refuses private addresses and non-pages', async () => {
+    stub = stubFetch({ 'example.com/logo.png': () => new Response('png', { headers: { 'Content-Type': 'image/png' } }) });
+    try {
+      const local = await get('http://127.0.0.1:1/admin');
+      assert.equal(local.status, 400);
+      assert.equal((await local.json()).code, 'blocked');
+      setArticleLookup(async () => ['10.0.0.7']);
+      assert.equal((await (await get('https://intranet.example/')).json()).code, 'blocked');
+      for (const url of ['http://[::ffff:127.0.0.1]/', 'http://[::ffff:169.254.169.254]/latest/meta-data/', 'http://[64:ff9b::a9fe:a9fe]/']) {
+        const mapped = await get(url);
+        assert.equal(mapped.status, 400, url);
+        assert.deepEqual(await mapped.json(), { error: 'the link points to a private address', code: 'blocked', message: 'the link points to a private address' });
+      }
+      setArticleLookup(async () => ['93.184.216.34']);
+      const image = await get('https://example.com/logo.png');
+      assert.equal(image.status, 422);
+      assert.equal((await image.json()).code, 'not_html');
+      const ftp = await get('ftp://example.com/file');
+      assert.equal(ftp.status, 400);
+      assert.equal((await ftp.json()).code, 'bad_url');
+      const missing = await fetch(`${server.base}/api/article`);
+      assert.deepEqual(await missing.json(), { error: 'url is required', code: 'bad_request', message: 'url is required' });
+      assert.equal(stub.calls.length, 1);
+    } finally {
+      stub.restore();
+    }
+  });
+});
@@ -0,0 +1,92 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { XMLParser } from 'fast-xml-parser';
+import { fixture, startServer, stubFetch } from './helpers.js';
+import { setDigestRateLimiter, setDigestStore } from '../api/digest.js';
+import { setHaikuProviders, setHaikuStore } from '../api/haiku.js';
+import { setNewsStore } from '../api/news.js';
+import { createMemoryStore } from '../lib/cache.js';
+import { createRateLimiter } from '../lib/rate-limit.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+
+const FEEDS = {
+  'news.google.com': fixture('google-news.xml'),
+  'feeds.bbci.co.uk': fixture('bbc.xml'),
+  'theguardian.com': fixture('atom.xml'),
+  'aljazeera.com': new Error('offline'),
+};
+
+describe('/api/digest', () => {
+  let server;
+  let fetchStub;
+  let provider;
+
+  before(async () => {
+    server = await startServer();
+    fetchStub = stubFetch(FEEDS);
+  });
+  after(() => {
+    fetchStub.restore();
+    return server.close();
+  });
+  beforeEach(() => {
+    setNewsStore(createMemoryStore());
+    setHaikuStore(createMemoryStore());
+    setDigestStore(createMemoryStore());
+    setDigestRateLimiter(createRateLimiter({ capacity: 100 }));
+    const mock = createMockProvider();
+    provider = { ...mock, calls: 0, generate: req => (provider.calls++, mock.generate(req)) };
+    setHaikuProviders([provider]);
+  });
+
+  it('turns the top headlines into haiku and caches the day', async () => {
+    const r = await fetch(`${server.base}/api/digest?country=US&category=general&limit=3`);
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('x-cache'), 'MISS');
+    const body = await r.json();
+    assert.equal(body.date, new Date().toISOString().slice(0, 10));
+    assert.equal(body.items.length, 3);
+    for (const item of body.items) {
+      assert.ok(item.title);
+      assert.equal(item.haiku.split('\n').length, 3);
+    }
+    const calls = provider.calls;
+    const again = await fetch(`${server.base}/api/digest?country=US&category=general&limit=3`);
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(await again.json(), body);
+    assert.equal(provider.calls, calls);
+  });
+
+  it('serves RSS and Atom feeds', async () => {
+    const parser = new XMLParser({ ignoreAttributes: false });
+    const rss = await fetch(`${server.base}/digest.rss?country=US&category=general&limit=2`);
+    assert.match(rss.headers.get('content-type'), /application\/rss\+xml/);
+    const channel = parser.parse(await rss.text()).rss.channel;
+    assert.equal(channel.item.length, 2);
+    assert.ok(channel.item[0].description.includes('<br/>'));
+    assert.match(channel['atom:link']['@_href'], /\/digest\.rss\?country=US&category=general&lang=en&limit=2$/);
+
+    const atom = await fetch(`${server.base}/digest.atom?country=US&category=general&limit=2`);
+    assert.match(atom.headers.get('content-type'), /application\/atom\+xml/);
+    const feed = parser.parse(await atom.text()).feed;
+    assert.equal(feed.entry.length, 2);
+    assert.match(feed.entry[0].id, /^tag:inhaiku\.lt,\d{4}-\d\d-\d\d:US\/general\/en\//);
+  });
+
+  it('renders an HTML page with feed autodiscovery', async () => {
+    const r = await fetch(`${server.base}/digest?country=US&category=general`);
+    assert.match(r.headers.get('content-type'), /text\/html/);
+    const html = await r.text();
+    assert.ok(html.includes('type="application/rss+xml"'));
+    assert.equal(html.match(/class="history-item"/g).length, 5);
+  });
+
+  it('rejects unknown formats and languages', async () => {
+    const pdf = await fetch(`${server.base}/api/digest?format=pdf`);
+    assert.equal(pdf.status, 400);
+    assert.deepEqual(Object.keys(await pdf.json()).sort(), ['code', 'error', 'message']);
+    assert.equal((await (await fetch(`${server.base}/api/digest`, { method: 'DELETE' })).json()).code, 'method_not_allowed');
+    assert.equal((await fetch(`${server.base}/api/digest?lang=xx`)).status, 400);
+    assert.equal((await fetch(`${server.base}/api/digest?style=rap`)).status, 400);
+  });
+});
@@ -0,0 +1,48 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+describe('embeddable widget', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  it('serves the script and the /embed iframe page', async () => {
+    const js = await fetch(`${server.base}/embed.js`);
+    assert.equal(js.status, 200);
+    assert.match(await js.text(), /customElements\.define\('news-haiku'/);
+    const page = await fetch(`${server.base}/embed?country=LT&theme=dark`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(await page.text(), /<script src="\/embed\.js" data-query>/);
+  });
+
+  it('answers CORS preflights for the haiku endpoint', async () => {
+    const r = await fetch(`${server.base}/api/haiku`, {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://blog.example', 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type' },
+    });
+    assert.equal(r.status, 204);
+    assert.equal(r.headers.get('access-control-allow-origin'), '*');
+    assert.match(r.headers.get('access-control-allow-methods'), /POST/);
+    assert.match(r.headers.get('access-control-allow-headers'), /Content-Type/);
+    assert.ok(Number(r.headers.get('access-control-max-age')) > 0);
+  });
+
+  it('only lets listed origins in when CORS_ORIGINS is set', async () => {
+    process.env.CORS_ORIGINS = 'https://blog.example, https://intranet.example/';
+    try {
+      const ask = origin => fetch(`${server.base}/api/feeds?country=LT`, { headers: { Origin: origin } });
+      const listed = await ask('https://intranet.example');
+      assert.equal(listed.headers.get('access-control-allow-origin'), 'https://intranet.example');
+      assert.equal(listed.headers.get('vary'), 'Origin');
+      assert.match(listed.headers.get('access-control-expose-headers'), /Retry-After/);
+      assert.equal((await ask('https://evil.example')).headers.get('access-control-allow-origin'), null);
+    } finally {
+      delete process.env.CORS_ORIGINS;
+    }
+  });
+});
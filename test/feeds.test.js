@@ -0,0 +1,45 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+import { feedsFor } from '../lib/feeds.js';
+
+describe('feed registry', () => {
+  it('adds national outlets and uses category-specific URLs', () => {
+    const feeds = feedsFor({ country: 'LT', category: 'health' });
+    const names = feeds.map(f => f.name);
+    assert.deepEqual(names.slice(0, 3), ['Google News LT', 'LRT', '15min']);
+    assert.ok(feeds.find(f => f.name === 'The Guardian').url.includes('/health/'));
+    assert.ok(!names.includes('Al Jazeera'));
+    // international outlets keep their own language in a Lithuanian feed
+    assert.equal(feeds.find(f => f.name === 'BBC').lang, 'en');
+    assert.equal(feeds.find(f => f.name === 'LRT').lang, 'lt');
+  });
+
+  it('filters by language and fills URL placeholders', () => {
+    const feeds = feedsFor({ country: 'EE', category: 'general', lang: 'en' });
+    assert.ok(feeds.some(f => f.name === 'ERR News'));
+    assert.ok(!feeds.some(f => f.name === 'ERR'));
+    assert.equal(feeds[0].url, 'https://news.google.com/rss?hl=en-EE&gl=EE&ceid=EE%3Aen');
+  });
+
+  it('falls back to general for unknown categories', () => {
+    const feeds = feedsFor({ country: 'US', category: 'gossip' });
+    assert.equal(feeds.find(f => f.name === 'BBC').url, 'https://feeds.bbci.co.uk/news/rss.xml');
+  });
+});
+
+describe('/api/feeds', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  it('answers non-GET requests with 405 and a { code, message } error', async () => {
+    const r = await fetch(`${server.base}/api/feeds?country=LT`, { method: 'POST' });
+    assert.equal(r.status, 405);
+    assert.equal(r.headers.get('allow'), 'GET, HEAD');
+    assert.deepEqual(await r.json(), { error: 'Method not allowed', code: 'method_not_allowed', message: 'Method not allowed' });
+  });
+});
@@ -0,0 +1,56 @@
+// test/helpers.js - offline harness: local dev server + recorded feed fixtures
+import { readFileSync } from 'node:fs';
+import { createServer } from '../server.js';
+
+export function fixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+// Replaces global fetch for outbound requests. `routes` maps a URL substring to
+// a fixture string, a Response, an Error (thrown) or a function returning one.
+// Requests to the local test server pass through untouched.
+export function stubFetch(routes) {
+  const realFetch = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input?.url ?? input);
+    if (url.startsWith('http://127.0.0.1:')) return realFetch(input, init);
+    calls.push({ url, headers: init.headers || {} });
+    const key = Object.keys(routes).find(k => url.includes(k));
+    const route = key ? routes[key] : undefined;
+    const value = typeof route === 'function' ? await route(url, init) : route;
+    if (value instanceof Error) throw value;
+    if (value instanceof Response) return value;
+    if (typeof value === 'string') {
+      return new Response(value, { headers: { 'Content-Type': 'application/rss+xml; charset=utf-8' } });
+    }
+    return new Response('Not found', { status: 404 });
+  };
+  return {
+    calls,
+    restore() {
+      globalThis.fetch = realFetch;
+    },
+  };
+}
+
+export async function startServer() {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    base: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections?.();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+// Collects { event, data } pairs from a text/event-stream response.
+export async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n').filter(Boolean).map(block => ({
+    event: block.match(/^event: (.*)$/m)?.[1],
+    data: JSON.parse(block.match(/^data: (.*)$/m)?.[1] ?? 'null'),
+  }));
+}
@@ -0,0 +1,131 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture, startServer, stubFetch } from './helpers.js';
+import { setNewsStore, setSensitiveProviders } from '../api/news.js';
+import { createMemoryStore } from '../lib/cache.js';
+
+const FEEDS = {
+  'news.google.com': fixture('google-news.xml'),
+  'feeds.bbci.co.uk': fixture('bbc.xml'),
+  'theguardian.com': fixture('atom.xml'),
+  'aljazeera.com': new Error('getaddrinfo ENOTFOUND www.aljazeera.com'),
+};
+
+describe('/api/news', () => {
+  let server;
+  let fetchStub;
+
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    setNewsStore(createMemoryStore());
+    setSensitiveProviders([]);
+    fetchStub?.restore();
+    fetchStub = stubFetch(FEEDS);
+  });
+  after(() => fetchStub?.restore());
+
+  it('merges every feed, keeps sources and reports failures', async () => {
+    const r = await fetch(`${server.base}/api/news?country=US&category=general`);
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    const sources = new Set(body.headlines.map(h => h.source));
+    assert.deepEqual([...sources].sort(), ['BBC', 'Google News US', 'The Guardian']);
+    assert.deepEqual(body.failed, ['Al Jazeera']);
+    const aj = body.providers.find(p => p.name === 'Al Jazeera');
+    assert.equal(aj.ok, false);
+    assert.equal(typeof aj.ms, 'number');
+  });
+
+  it('drops near-duplicate titles across outlets', async () => {
+    const body = await (await fetch(`${server.base}/api/news?country=US&category=general`)).json();
+    const storms = body.headlines.filter(h => /storm batters/i.test(h.title));
+    assert.equal(storms.length, 1);
+    // the newer BBC copy wins over Google's
+    assert.equal(storms[0].source, 'BBC');
+  });
+
+  it('extracts publish time, plain-text summary, image and categories', async () => {
+    const body = await (await fetch(`${server.base}/api/news?country=US&category=general`)).json();
+    const storm = body.headlines.find(h => h.source === 'BBC' && /storm/i.test(h.title));
+    assert.equal(storm.publishedAt, '2026-10-19T10:05:00.000Z');
+    assert.equal(storm.summary, 'Winds of up to 100mph cut power to thousands of homes & businesses.');
+    assert.equal(storm.image, 'https://ichef.bbci.co.uk/ace/standard/240/storm.jpg');
+    const glacier = body.headlines.find(h => h.source === 'The Guardian');
+    assert.equal(glacier.title, 'Glacier retreat accelerates in the Alps');
+    assert.equal(glacier.image, 'https://example.org/img/glacier.jpg');
+    assert.deepEqual(glacier.categories, ['Environment', 'Europe']);
+    const google = body.headlines.find(h => h.source === 'Google News US' && /central bank/i.test(h.title));
+    assert.equal(google.summary, '');
+  });
+
+  it('resolves Google News redirect links', async () => {
+    const body = await (await fetch(`${server.base}/api/news?country=US&category=general&mode=first`)).json();
+    assert.equal(body.mode, 'first');
+    assert.ok(body.headlines.some(h => h.url === 'https://www.reuters.com/world/storm-batters-coast'));
+    assert.ok(body.headlines.every(h => h.source === 'Google News US'));
+  });
+
+  it('serves cached responses with ETag and answers If-None-Match with 304', async () => {
+    const first = await fetch(`${server.base}/api/news?country=US&category=general`);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.match(first.headers.get('cache-control'), /s-maxage=\d+, stale-while-revalidate=\d+/);
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    const fetchedBefore = fetchStub.calls.length;
+
+    const second = await fetch(`${server.base}/api/news?country=US&category=general`, { headers: { 'If-None-Match': etag } });
+    assert.equal(second.status, 304);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(fetchStub.calls.length, fetchedBefore);
+  });
+
+  it('tags sensitive headlines, with the optional model check', async () => {
+    const plain = await (await fetch(`${server.base}/api/news?country=US&category=general`)).json();
+    assert.ok(plain.headlines.every(h => h.sensitive === false));
+    setNewsStore(createMemoryStore());
+    setSensitiveProviders([{ name: 'stub', async generate() { return '2'; } }]);
+    const checked = await (await fetch(`${server.base}/api/news?country=US&category=general`)).json();
+    assert.deepEqual(checked.headlines.map(h => h.sensitive), checked.headlines.map((h, i) => i === 1));
+  });
+
+  it('checks international headlines against their source language', async () => {
+    fetchStub.restore();
+    fetchStub = stubFetch({
+      'feeds.bbci.co.uk': `<rss><channel>
+        <item><title>Three killed in mass shooting in Texas</title><link>https://www.bbc.co.uk/news/1</link></item>
+        <item><title>Comet lights up the northern sky</title><link>https://www.bbc.co.uk/news/2</link></item>
+      </channel></rss>`,
+      'lrt.lt': `<rss><channel><item><title>Per gaisrą Kaune žuvo du žmonės</title><link>https://www.lrt.lt/1</link></item></channel></rss>`,
+    });
+    const body = await (await fetch(`${server.base}/api/news?country=LT&category=general`)).json();
+    assert.equal(body.lang, 'lt');
+    const tags = Object.fromEntries(body.headlines.map(h => [h.title, [h.lang, h.sensitive]]));
+    assert.deepEqual(tags, {
+      'Three killed in mass shooting in Texas': ['en', true],
+      'Comet lights up the northern sky': ['en', false],
+      'Per gaisrą Kaune žuvo du žmonės': ['lt', true],
+    });
+  });
+
+  it('falls back to sample headlines when every feed fails', async () => {
+    fetchStub.restore();
+    fetchStub = stubFetch({});
+    const r = await fetch(`${server.base}/api/news?country=LT&category=science`);
+    assert.equal(r.headers.get('cache-control'), 'no-store');
+    const body = await r.json();
+    assert.ok(body.headlines.length > 0);
+    assert.ok(body.headlines.every(h => h.source === 'Sample' && h.publishedAt === null && Array.isArray(h.categories)));
+    assert.equal(body.sample, true);
+    assert.deepEqual([body.country, body.category, body.lang, body.mode], ['LT', 'science', 'lt', 'fanout']);
+    assert.deepEqual(body.failed, body.providers.map(p => p.name));
+  });
+
+  it('answers other methods with a { code, message } error', async () => {
+    const r = await fetch(`${server.base}/api/news`, { method: 'POST' });
+    assert.equal(r.status, 405);
+    assert.deepEqual(await r.json(), { error: 'Method not allowed', code: 'method_not_allowed', message: 'Method not allowed' });
+  });
+});
@@ -0,0 +1,117 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stubFetch } from './helpers.js';
+import { setPermalinkRateLimiter, setPermalinkStore } from '../api/permalink.js';
+import { createKvStore, createMemoryStore, kvStoreFromEnv } from '../lib/cache.js';
+import { createRateLimiter } from '../lib/rate-limit.js';
+
+const ENTRY = {
+  haiku: 'Morning paper folds\nstorm in the evening news\na gull cries, then gone',
+  title: 'Storm batters the Atlantic coast',
+  source: 'BBC',
+  url: 'https://www.bbc.co.uk/news/1',
+  lang: 'en',
+  country: 'GB',
+  category: 'general',
+  style: 'classic',
+  form: 'haiku',
+};
+
+function create(base, body) {
+  return fetch(`${base}/api/permalink`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+describe('/api/permalink', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    setPermalinkStore(createMemoryStore());
+    setPermalinkRateLimiter(createRateLimiter({ capacity: 100 }));
+  });
+
+  it('stores an entry under a stable short id', async () => {
+    const r = await create(server.base, ENTRY);
+    assert.equal(r.status, 201);
+    const { id, url } = await r.json();
+    assert.match(id, /^[\w-]{10}$/);
+    assert.equal(url, `/h/${id}`);
+    assert.equal((await (await create(server.base, ENTRY)).json()).id, id);
+  });
+
+  it('renders /h/:id with Open Graph and Twitter cards', async () => {
+    const { id } = await (await create(server.base, ENTRY)).json();
+    const r = await fetch(`${server.base}/h/${id}`);
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type'), /text\/html/);
+    assert.match(r.headers.get('cache-control'), /immutable/);
+    const html = await r.text();
+    assert.ok(html.includes(`<meta property="og:image" content="${server.base}/h/${id}/card.png" />`));
+    assert.ok(html.includes('<meta name="twitter:card" content="summary_large_image" />'));
+    assert.ok(html.includes('storm in the evening news'));
+  });
+
+  it('serves the card as PNG and SVG', async () => {
+    const { id } = await (await create(server.base, ENTRY)).json();
+    const png = await fetch(`${server.base}/h/${id}/card.png`);
+    assert.equal(png.headers.get('content-type'), 'image/png');
+    const bytes = new Uint8Array(await png.arrayBuffer());
+    assert.deepEqual([...bytes.slice(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+
+    const svg = await fetch(`${server.base}/h/${id}/card.svg`);
+    assert.equal(svg.headers.get('content-type'), 'image/svg+xml');
+    assert.match(await svg.text(), /<svg[^>]*width="1200"/);
+  });
+
+  it('escapes stored text in the page', async () => {
+    const { id } = await (await create(server.base, { ...ENTRY, title: '<script>alert(1)</script>' })).json();
+    const html = await (await fetch(`${server.base}/h/${id}`)).text();
+    assert.ok(!html.includes('<script>alert'));
+    assert.ok(html.includes('&lt;script&gt;'));
+  });
+
+  it('returns 404 for unknown ids and 400 for invalid entries', async () => {
+    assert.equal((await fetch(`${server.base}/h/missing000`)).status, 404);
+    const card = await fetch(`${server.base}/h/missing000/card.png`);
+    assert.equal(card.status, 404);
+    assert.deepEqual(await card.json(), { error: 'Not found', code: 'not_found', message: 'Not found' });
+    const empty = await create(server.base, { ...ENTRY, haiku: '' });
+    assert.equal(empty.status, 400);
+    assert.deepEqual(await empty.json(), { error: 'haiku is required', code: 'bad_request', message: 'haiku is required' });
+    assert.equal((await create(server.base, { ...ENTRY, url: 'javascript:alert(1)' })).status, 400);
+    assert.equal((await create(server.base, { ...ENTRY, haiku: 'a\nb\nc\nd\ne\nf\ng' })).status, 400);
+  });
+
+  it('keeps entries in the KV store so links work on every instance', async () => {
+    assert.equal(kvStoreFromEnv({}), null);
+    assert.ok(kvStoreFromEnv({ KV_REST_API_URL: 'https://kv.example', KV_REST_API_TOKEN: 't' }));
+    const kv = new Map();
+    const stub = stubFetch({
+      'kv.example': (url, init) => {
+        assert.equal(init.headers.Authorization, 'Bearer secret');
+        const [cmd, key, value] = JSON.parse(init.body);
+        if (cmd === 'SET') kv.set(key, value);
+        return Response.json({ result: cmd === 'GET' ? kv.get(key) ?? null : 'OK' });
+      },
+    });
+    try {
+      setPermalinkStore(createKvStore({ url: 'https://kv.example/', token: 'secret' }));
+      const { id } = await (await create(server.base, ENTRY)).json();
+      assert.ok(kv.has(`permalink:${id}`));
+      // a fresh instance only has what KV has
+      setPermalinkStore(createKvStore({ url: 'https://kv.example/', token: 'secret' }));
+      const page = await fetch(`${server.base}/h/${id}`);
+      assert.equal(page.status, 200);
+      assert.ok((await page.text()).includes('storm in the evening news'));
+    } finally {
+      stub.restore();
+    }
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { clientIp, createRateLimiter } from '../lib/rate-limit.js';
+
+const request = headers => ({ headers, socket: { remoteAddress: '10.0.0.2' } });
+
+describe('lib/rate-limit.js', () => {
+  it('charges the cost and refuses once the bucket is empty', async () => {
+    const limiter = createRateLimiter({ capacity: 3, refillPerMinute: 1 });
+    assert.deepEqual(await limiter.take('ip', 2), { ok: true, remaining: 1, retryAfter: 0 });
+    const refused = await limiter.take('ip', 2);
+    assert.equal(refused.ok, false);
+    assert.ok(refused.retryAfter > 0);
+  });
+
+  it('ignores forwarding headers unless a proxy is trusted', () => {
+    const spoofed = request({ 'x-forwarded-for': '1.2.3.4', 'x-real-ip': '5.6.7.8' });
+    assert.equal(clientIp(spoofed, {}), '10.0.0.2');
+    assert.equal(clientIp(spoofed, { VERCEL: '1' }), '5.6.7.8');
+    // one trusted proxy appended the real caller after whatever the client sent
+    const proxied = request({ 'x-forwarded-for': '1.2.3.4, 203.0.113.9' });
+    assert.equal(clientIp(proxied, { TRUST_PROXY: '1' }), '203.0.113.9');
+    assert.equal(clientIp(proxied, { TRUST_PROXY: '2' }), '1.2.3.4');
+    assert.equal(clientIp(request({}), { TRUST_PROXY: '1' }), '10.0.0.2');
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSensitiveTerm, isSensitive, modelCheck, tagSensitive } from '../lib/sensitive.js';
+
+describe('findSensitiveTerm', () => {
+  it('finds deaths and violence in the headline language and English', () => {
+    assert.equal(findSensitiveTerm('Gunman kills five at a school', ['en']), 'gunman');
+    assert.equal(findSensitiveTerm('Per gaisrą žuvo du žmonės', ['lt']), 'žuvo');
+    assert.equal(findSensitiveTerm('Zwei Tote bei Unfall auf der A7', ['de']), 'tote');
+    assert.equal(findSensitiveTerm('İstanbul\'da ölü sayısı arttı', ['tr']), 'ölü');
+    assert.equal(findSensitiveTerm('地震で死者10人', ['ja']), '死者');
+    assert.equal(findSensitiveTerm('台风造成3人遇难', ['zh-CN']), '遇难');
+    assert.equal(findSensitiveTerm('Hostages freed in Vilnius', ['lt', 'en']), 'hostages');
+  });
+
+  it('leaves words that only start or contain a term alone', () => {
+    for (const [text, lang] of [
+      ['Deadline extended for tax returns', 'en'],
+      ['Stable diesel prices calm markets', 'en'],
+      ['Žuvis grįžta į Nerį', 'lt'],
+      ['Totale Sonnenfinsternis über Europa', 'de'],
+      ['Kalėdų mugė atidaryta', 'lt'],
+      ['Apple unveils killer feature', 'en'],
+      ['Shooting stars light up the August sky', 'en'],
+    ]) assert.equal(isSensitive(text, [lang]), false, text);
+  });
+
+  it('checks only the lists for the given languages', async () => {
+    assert.equal(isSensitive('Die Regierung plant neue Steuern', ['de']), false);
+    assert.equal(isSensitive('Het kabinet die de begroting steunt', ['nl']), false);
+    assert.equal(findSensitiveTerm('Three killed in mass shooting', ['en']), 'killed');
+    const tagged = await tagSensitive([{ title: 'Die Regierung plant neue Steuern' }, { title: 'Zwei Tote bei Unfall' }], { lang: 'de' });
+    assert.deepEqual(tagged.map(h => h.sensitive), [false, true]);
+    const mixed = await tagSensitive([{ title: 'Three killed in mass shooting in Texas', source: 'BBC', lang: 'en' }], { lang: 'lt' });
+    assert.equal(mixed[0].sensitive, true);
+  });
+});
+
+describe('tagSensitive', () => {
+  const headlines = [{ title: 'Comet lights the sky' }, { title: 'Family mourns fisherman' }, { title: 'Ferry sinks off the coast' }];
+
+  it('tags by keywords and lets the model flag more', async () => {
+    assert.deepEqual((await tagSensitive(headlines, { lang: 'en' })).map(h => h.sensitive), [false, true, false]);
+    const requests = [];
+    const generate = async request => {
+      requests.push(request);
+      return { text: '3' };
+    };
+    assert.deepEqual((await tagSensitive(headlines, { lang: 'en', generate })).map(h => h.sensitive), [false, true, true]);
+    assert.equal(requests[0].task, 'classify');
+    assert.match(requests[0].prompt, /^3\. Ferry sinks off the coast$/m);
+  });
+
+  it('keeps the keyword tags when the model check fails', async () => {
+    const generate = async () => {
+      throw new Error('timeout');
+    };
+    assert.deepEqual((await tagSensitive(headlines, { lang: 'en', generate })).map(h => h.sensitive), [false, true, false]);
+    assert.deepEqual([...await modelCheck(['a', 'b'], { generate: async () => ({ text: 'None of them.' }) })], []);
+    assert.deepEqual([...await modelCheck(['a', 'b'], { generate: async () => ({ text: '2, 7' }) })], [1]);
+  });
+});
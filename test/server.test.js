@@ -0,0 +1,46 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+describe('dev server', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  it('serves public/ with content types', async () => {
+    const index = await fetch(`${server.base}/`);
+    assert.equal(index.status, 200);
+    assert.match(index.headers.get('content-type'), /text\/html/);
+    const js = await fetch(`${server.base}/js/main.js`);
+    assert.match(js.headers.get('content-type'), /javascript/);
+  });
+
+  it('serves the PWA manifest and every precached shell file', async () => {
+    const manifest = await fetch(`${server.base}/site.webmanifest`);
+    assert.equal(manifest.headers.get('content-type'), 'application/manifest+json');
+    const { icons } = await manifest.json();
+    const sw = await (await fetch(`${server.base}/sw.js`)).text();
+    const shell = JSON.parse(sw.match(/const SHELL = (\[[^\]]*\]);/)[1].replace(/'/g, '"').replace(/,\s*\]/, ']'));
+    for (const path of [...shell, ...icons.map(i => i.src)]) {
+      assert.equal((await fetch(`${server.base}${path}`)).status, 200, path);
+    }
+  });
+
+  it('returns 404 for unknown files, API routes and path traversal, 400 for malformed paths', async () => {
+    assert.equal((await fetch(`${server.base}/nope.txt`)).status, 404);
+    assert.equal((await fetch(`${server.base}/api/nope`)).status, 404);
+    assert.equal((await fetch(`${server.base}/..%2Fpackage.json`)).status, 404);
+    assert.equal((await fetch(`${server.base}/%E0%A4%A`)).status, 400);
+  });
+
+  it('mounts api handlers with Vercel query parsing', async () => {
+    const r = await fetch(`${server.base}/api/feeds?country=lt&category=sports`);
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.equal(body.country, 'LT');
+    assert.equal(body.category, 'sports');
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { countSyllables, scoreHaiku } from '../lib/syllables.js';
+
+describe('countSyllables', () => {
+  it('counts English with spelling heuristics', () => {
+    assert.equal(countSyllables('An old silent pond', 'en').count, 5);
+    assert.equal(countSyllables('A frog jumps into the pond', 'en').count, 7);
+  });
+
+  it('treats Lithuanian diphthongs and soft i as one nucleus', () => {
+    assert.equal(countSyllables('Žiemą Lietuvoje', 'lt').count, 6);
+    assert.equal(countSyllables('kiaulė geriau naujienos duona', 'lt').count, 9);
+  });
+
+  it('counts Japanese morae and flags kanji as approximate', () => {
+    assert.deepEqual(countSyllables('かわずとびこむ', 'ja'), { count: 7, approximate: false });
+    assert.deepEqual(countSyllables('きょう', 'ja'), { count: 2, approximate: false });
+    assert.equal(countSyllables('古池や', 'ja').approximate, true);
+  });
+});
+
+describe('scoreHaiku', () => {
+  it('reports distance from the pattern and strictness', () => {
+    const exact = scoreHaiku(['An old silent pond', 'A frog jumps into the pond', 'splash! Silence again.'], 'en');
+    assert.deepEqual(exact.counts, [5, 7, 5]);
+    assert.equal(exact.strict, true);
+    const short = scoreHaiku(['An old pond', 'a frog'], 'en');
+    assert.equal(short.strict, false);
+    assert.equal(short.off, 2 + 5 + 5);
+  });
+});